@@ -1,15 +1,192 @@
 import { GoogleGenAI } from "@google/genai";
+import {
+    stripAccents, decodeExportText, normalizeProfileUrl, EXPORT_FILES,
+    parseUserProfile, buildUserProfile, attachInteractions, parseExport, createForceSimulation
+} from "./NetworkCore.js?v=10";
+
+// --- AI PROVIDERS ---
+// kind 'gemini' goes through the @google/genai SDK, kind 'openai' through any
+// OpenAI-compatible /chat/completions API (OpenAI, Ollama, llama.cpp, LM Studio, ...).
+// structuredOutput: the API can enforce a JSON schema on the response.
+// batchTokens: prompt size above which network queries are split (map-reduce).
+// embeddingModel: model used for semantic search vectors.
+const AI_PROVIDERS = new Map();
+const BUILTIN_PROVIDER_IDS = new Set();
+
+function registerProvider(config, builtin = false) {
+    AI_PROVIDERS.set(config.id, {
+        kind: 'openai',
+        baseUrl: '',
+        authHeader: 'Authorization',
+        authPrefix: 'Bearer ',
+        requiresKey: true,
+        ...config
+    });
+    if (builtin) BUILTIN_PROVIDER_IDS.add(config.id);
+}
+
+registerProvider({ id: 'gemini', label: 'Google Gemini', kind: 'gemini', model: 'gemini-3-flash-preview', embeddingModel: 'gemini-embedding-001', structuredOutput: true, batchTokens: 30000 }, true);
+registerProvider({ id: 'openai', label: 'OpenAI', baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o', embeddingModel: 'text-embedding-3-small', structuredOutput: true, batchTokens: 20000 }, true);
+registerProvider({ id: 'ollama', label: 'Ollama (local)', baseUrl: 'http://localhost:11434/v1', model: 'llama3.1', embeddingModel: 'nomic-embed-text', requiresKey: false, batchTokens: 3000 }, true);
+registerProvider({ id: 'llamacpp', label: 'llama.cpp server (local)', baseUrl: 'http://localhost:8080/v1', model: 'local-model', embeddingModel: 'local-model', requiresKey: false, batchTokens: 3000 }, true);
+
+// Custom providers and per-provider overrides (base URL, model, auth header)
+// live in localStorage. API keys are never persisted.
+function loadProviderSettings() {
+    return JSON.parse(localStorage.getItem('ai_provider_settings') || '{}');
+}
+
+function saveProviderSettings(providerId, settings) {
+    const all = loadProviderSettings();
+    all[providerId] = { ...all[providerId], ...settings };
+    localStorage.setItem('ai_provider_settings', JSON.stringify(all));
+}
+
+function loadCustomProviders() {
+    JSON.parse(localStorage.getItem('ai_custom_providers') || '[]').forEach(p => registerProvider(p));
+}
+
+function saveCustomProviders() {
+    const custom = Array.from(AI_PROVIDERS.values()).filter(p => !BUILTIN_PROVIDER_IDS.has(p.id));
+    localStorage.setItem('ai_custom_providers', JSON.stringify(custom));
+}
+
+// --- AI ERRORS ---
+// Every failure of AIService.generateContent is one of these, so the UI can
+// show them the same way everywhere (see showAIError).
+class AIError extends Error {
+    constructor(message, { retryable = false, retryAfterMs = null, status = null, cause = null } = {}) {
+        super(message);
+        this.name = 'AIError';
+        this.code = 'unknown';
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+        this.status = status;
+        this.cause = cause;
+    }
+}
+
+class AIRateLimitError extends AIError {
+    constructor(message, options = {}) {
+        super(message, { retryable: true, ...options });
+        this.name = 'AIRateLimitError';
+        this.code = 'rate_limit';
+    }
+}
+
+class AIAuthError extends AIError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'AIAuthError';
+        this.code = 'auth';
+    }
+}
+
+class AINetworkError extends AIError {
+    constructor(message, options = {}) {
+        super(message, { retryable: true, ...options });
+        this.name = 'AINetworkError';
+        this.code = 'network';
+    }
+}
+
+class AIAbortError extends AIError {
+    constructor(message = 'Request cancelled', options = {}) {
+        super(message, options);
+        this.name = 'AIAbortError';
+        this.code = 'aborted';
+    }
+}
+
+class AIResponseError extends AIError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'AIResponseError';
+        this.code = 'bad_response';
+    }
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function errorFromStatus(status, message, retryAfterMs = null) {
+    if (status === 429) return new AIRateLimitError(message, { status, retryAfterMs });
+    if (status === 401 || status === 403) return new AIAuthError(message, { status });
+    return new AIResponseError(message, { status, retryable: status >= 500 || status === 408 });
+}
+
+// Maps SDK/fetch exceptions onto the AIError hierarchy.
+function toAIError(error) {
+    if (error instanceof AIError) return error;
+    if (error && error.name === 'AbortError') return new AIAbortError(undefined, { cause: error });
+
+    const message = (error && error.message) || String(error);
+    const status = typeof error?.status === 'number' ? error.status : null;
+    if (status) {
+        // Gemini puts the suggested delay in the error body: "retryDelay": "30s"
+        const delay = /"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/.exec(message);
+        return errorFromStatus(status, message, delay ? parseFloat(delay[1]) * 1000 : null);
+    }
+    if (/429|RESOURCE_EXHAUSTED|rate limit/i.test(message)) return new AIRateLimitError(message, { cause: error });
+    if (/API key|PERMISSION_DENIED|UNAUTHENTICATED/i.test(message)) return new AIAuthError(message, { cause: error });
+    if (error instanceof TypeError) return new AINetworkError(message, { cause: error });
+    return new AIError(message, { cause: error });
+}
+
+function abortableSleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(new AIAbortError());
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new AIAbortError());
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+const AI_MAX_RETRIES = 3;
+const AI_BASE_DELAY_MS = 1000;
+const AI_MAX_DELAY_MS = 60000;
+
+// Validated responses are cached in IndexedDB, keyed by provider, model,
+// prompt hash and network snapshot hash.
+const AI_CACHE_STORE = 'ai_cache';
+const AI_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const AI_CACHE_MAX_ENTRIES = 300;
+const AI_CACHE_MAX_CHARS = 4000000;
 
 // AI Service Abstraction
 class AIService {
     constructor() {
         this.provider = 'gemini'; // Default
-        this.apiKey = ""; // Default Hackathon Key
+        this.apiKeys = {}; // Per provider, kept in memory only
         this.client = null; // Lazy initialization
+        this.queues = new Map(); // providerId -> { active, pending: [] }
+    }
+
+    get apiKey() {
+        return this.apiKeys[this.provider] || "";
+    }
+
+    // Registered defaults merged with the user's saved overrides
+    getProviderConfig(providerId = this.provider) {
+        const base = AI_PROVIDERS.get(providerId);
+        if (!base) throw new Error(`Unknown provider: ${providerId}`);
+        return { ...base, ...loadProviderSettings()[providerId] };
     }
 
     getClient() {
-        if (!this.client && this.provider === 'gemini') {
+        if (!this.client) {
             this.client = new GoogleGenAI({ apiKey: this.apiKey });
         }
         return this.client;
@@ -18,26 +195,138 @@ class AIService {
     setProvider(provider, key) {
         this.provider = provider;
         if (key) {
-             this.apiKey = key;
+             this.apiKeys[provider] = key;
         }
         // Reset client so it gets recreated with new key on next use
         this.client = null;
     }
 
-    async generateContent(prompt) {
-        if (this.provider === 'gemini') {
-            return this.callGemini(prompt);
-        } else if (this.provider === 'openai') {
-            return this.callOpenAI(prompt);
+    cacheKey(prompt, snapshotHash = '') {
+        const config = this.getProviderConfig();
+        return `${config.id}|${config.model}|${hashString(prompt)}|${snapshotHash}`;
+    }
+
+    // Resolves with { text, createdAt } or null when missing or expired
+    async getCachedResponse(key) {
+        const entry = await dbGet(AI_CACHE_STORE, key).catch(() => null);
+        if (!entry || Date.now() - entry.createdAt > AI_CACHE_TTL_MS) return null;
+        return entry;
+    }
+
+    async cacheResponse(key, text) {
+        await dbPut(AI_CACHE_STORE, { id: key, text, createdAt: Date.now() });
+
+        // Drop expired entries, then the oldest ones until under the size limits
+        const entries = (await dbGetAll(AI_CACHE_STORE)).sort((a, b) => b.createdAt - a.createdAt);
+        let chars = 0;
+        for (const [index, entry] of entries.entries()) {
+            chars += entry.text.length;
+            const expired = Date.now() - entry.createdAt > AI_CACHE_TTL_MS;
+            if (expired || index >= AI_CACHE_MAX_ENTRIES || chars > AI_CACHE_MAX_CHARS) {
+                await dbDelete(AI_CACHE_STORE, entry.id);
+            }
+        }
+    }
+
+    clearCache() {
+        return dbRequest(AI_CACHE_STORE, 'readwrite', s => s.clear());
+    }
+
+    // Options: signal (AbortSignal) to cancel, onRetry({ attempt, delayMs, error })
+    // to report backoff, schema (JSON schema) for native structured output.
+    // Rejects with an AIError subclass.
+    async generateContent(prompt, options = {}) {
+        const config = this.getProviderConfig();
+        const call = () => {
+            if (config.kind === 'gemini') {
+                return this.callGemini(prompt, config, options);
+            } else if (config.kind === 'openai') {
+                return this.callOpenAI(prompt, config, options);
+            }
+            throw new AIError("Unknown provider");
+        };
+        return this.enqueue(config, () => this.withRetry(call, options), options.signal);
+    }
+
+    // Exponential backoff with jitter; honors Retry-After / retryDelay hints.
+    async withRetry(call, { signal, onRetry } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            if (signal && signal.aborted) throw new AIAbortError();
+            try {
+                return await call();
+            } catch (e) {
+                const error = toAIError(e);
+                if (!error.retryable || attempt >= AI_MAX_RETRIES || (signal && signal.aborted)) throw error;
+
+                const backoff = AI_BASE_DELAY_MS * 2 ** attempt * (0.75 + Math.random() * 0.5);
+                const delayMs = Math.min(AI_MAX_DELAY_MS, error.retryAfterMs ?? backoff);
+                if (onRetry) onRetry({ attempt: attempt + 1, delayMs, error });
+                await abortableSleep(delayMs, signal);
+            }
+        }
+    }
+
+    // Runs at most `maxConcurrent` requests per provider; the rest wait in FIFO order.
+    enqueue(config, task, signal) {
+        if (!this.queues.has(config.id)) this.queues.set(config.id, { active: 0, pending: [] });
+        const queue = this.queues.get(config.id);
+        const limit = config.maxConcurrent || (config.requiresKey ? 2 : 1);
+
+        return new Promise((resolve, reject) => {
+            const entry = {
+                run: () => {
+                    queue.active++;
+                    Promise.resolve().then(task).then(resolve, reject).finally(() => {
+                        queue.active--;
+                        this.drainQueue(queue, limit);
+                    });
+                },
+                reject
+            };
+            if (signal) {
+                if (signal.aborted) return reject(new AIAbortError());
+                signal.addEventListener('abort', () => {
+                    const index = queue.pending.indexOf(entry);
+                    if (index !== -1) {
+                        queue.pending.splice(index, 1);
+                        reject(new AIAbortError());
+                    }
+                }, { once: true });
+            }
+            queue.pending.push(entry);
+            this.drainQueue(queue, limit);
+        });
+    }
+
+    drainQueue(queue, limit) {
+        while (queue.active < limit && queue.pending.length > 0) {
+            queue.pending.shift().run();
+        }
+    }
+
+    geminiRequestConfig(config, { signal, schema }) {
+        const requestConfig = {};
+        if (signal) requestConfig.abortSignal = signal;
+        if (schema && config.structuredOutput) {
+            requestConfig.responseMimeType = 'application/json';
+            requestConfig.responseJsonSchema = schema;
         }
-        throw new Error("Unknown provider");
+        return requestConfig;
     }
 
-    async callGemini(prompt) {
+    openAIResponseFormat(config, { schema }) {
+        if (schema && config.structuredOutput) {
+            return { type: "json_schema", json_schema: { name: schema.title || 'response', schema } };
+        }
+        return { type: "json_object" };
+    }
+
+    async callGemini(prompt, config, options = {}) {
         const client = this.getClient();
         const response = await client.models.generateContent({
-            model: "gemini-3-flash-preview",
+            model: config.model,
             contents: prompt,
+            config: this.geminiRequestConfig(config, options)
         });
 
         if (typeof response.text === 'function') {
@@ -49,36 +338,345 @@ class AIService {
         }
     }
 
-    async callOpenAI(prompt) {
-        if (!this.apiKey || this.apiKey.startsWith("AIza")) {
-            throw new Error("Please provide a valid OpenAI API Key in the settings.");
-        }
-        const url = "https://api.openai.com/v1/chat/completions";
-        const response = await fetch(url, {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json",
-                "Authorization": `Bearer ${this.apiKey}`
-            },
-            body: JSON.stringify({
-                model: "gpt-4o",
-                messages: [{ role: "user", content: prompt }],
-                response_format: { type: "json_object" }
-            })
+    async callOpenAI(prompt, config, options = {}) {
+        const response = await this.postOpenAI(config, options.signal, {
+            model: config.model,
+            messages: [{ role: "user", content: prompt }],
+            response_format: this.openAIResponseFormat(config, options)
         });
         const data = await response.json();
-        if (data.error) throw new Error(data.error.message);
         return data.choices[0].message.content;
     }
+
+    // Resolves with one embedding (array of numbers) per text, in order.
+    // taskType ('RETRIEVAL_QUERY' / 'RETRIEVAL_DOCUMENT') is a hint only Gemini uses.
+    async embedContent(texts, options = {}) {
+        const config = this.getProviderConfig();
+        if (!config.embeddingModel) {
+            throw new AIError(`No embedding model configured for ${config.label}. Set one in the provider settings.`);
+        }
+        const call = () => {
+            if (config.kind === 'gemini') {
+                return this.embedGemini(texts, config, options);
+            } else if (config.kind === 'openai') {
+                return this.embedOpenAI(texts, config, options);
+            }
+            throw new AIError("Unknown provider");
+        };
+        return this.enqueue(config, () => this.withRetry(call, options), options.signal);
+    }
+
+    async embedGemini(texts, config, { signal, taskType } = {}) {
+        const client = this.getClient();
+        const requestConfig = {};
+        if (signal) requestConfig.abortSignal = signal;
+        if (taskType) requestConfig.taskType = taskType;
+        const response = await client.models.embedContent({
+            model: config.embeddingModel,
+            contents: texts,
+            config: requestConfig
+        });
+        if (!response.embeddings || response.embeddings.length !== texts.length) {
+            throw new AIResponseError(`${config.label} returned ${response.embeddings?.length || 0} embeddings for ${texts.length} texts`);
+        }
+        return response.embeddings.map(e => e.values);
+    }
+
+    async embedOpenAI(texts, config, { signal } = {}) {
+        const response = await this.postOpenAI(config, signal, {
+            model: config.embeddingModel,
+            input: texts
+        }, '/embeddings');
+        const data = await response.json();
+        if (!Array.isArray(data.data) || data.data.length !== texts.length) {
+            throw new AIResponseError(`${config.label} returned ${data.data?.length || 0} embeddings for ${texts.length} texts`);
+        }
+        return data.data.sort((a, b) => a.index - b.index).map(d => d.embedding);
+    }
+
+    // POSTs to an OpenAI-compatible endpoint (chat completions by default);
+    // resolves with an OK response or throws an AIError.
+    async postOpenAI(config, signal, body, path = '/chat/completions') {
+        if (config.requiresKey && (!this.apiKey || this.apiKey.startsWith("AIza"))) {
+            throw new AIAuthError(`Please provide a valid ${config.label} API Key in the settings.`);
+        }
+        const headers = { "Content-Type": "application/json" };
+        if (this.apiKey) {
+            headers[config.authHeader] = `${config.authPrefix}${this.apiKey}`;
+        }
+        const url = `${config.baseUrl.replace(/\/+$/, '')}${path}`;
+        let response;
+        try {
+            response = await fetch(url, { method: "POST", headers, signal, body: JSON.stringify(body) });
+        } catch (e) {
+            if (e.name === 'AbortError') throw new AIAbortError();
+            throw new AINetworkError(`Could not reach ${config.label} at ${config.baseUrl}`, { cause: e });
+        }
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            const message = data.error?.message || data.error || `${config.label} returned HTTP ${response.status}`;
+            throw errorFromStatus(response.status, message, parseRetryAfter(response.headers.get('Retry-After')));
+        }
+        return response;
+    }
+
+    // Like generateContent, but calls onChunk(textSoFar) as tokens arrive.
+    // A retry restarts the stream, so textSoFar may start over from scratch.
+    async streamContent(prompt, options = {}) {
+        const config = this.getProviderConfig();
+        const onChunk = options.onChunk || (() => {});
+        if (config.supportsStreaming === false) {
+            const text = await this.generateContent(prompt, options);
+            onChunk(text);
+            return text;
+        }
+
+        const call = () => {
+            if (config.kind === 'gemini') {
+                return this.streamGemini(prompt, config, options, onChunk);
+            } else if (config.kind === 'openai') {
+                return this.streamOpenAI(prompt, config, options, onChunk);
+            }
+            throw new AIError("Unknown provider");
+        };
+        return this.enqueue(config, () => this.withRetry(call, options), options.signal);
+    }
+
+    async streamGemini(prompt, config, options, onChunk) {
+        const client = this.getClient();
+        const stream = await client.models.generateContentStream({
+            model: config.model,
+            contents: prompt,
+            config: this.geminiRequestConfig(config, options)
+        });
+
+        let text = "";
+        for await (const chunk of stream) {
+            const delta = typeof chunk.text === 'string' ? chunk.text : (chunk.candidates?.[0]?.content?.parts?.[0]?.text || "");
+            if (!delta) continue;
+            text += delta;
+            onChunk(text);
+        }
+        return text;
+    }
+
+    // Reads the server-sent events of a streamed chat completion
+    async streamOpenAI(prompt, config, options, onChunk) {
+        const response = await this.postOpenAI(config, options.signal, {
+            model: config.model,
+            messages: [{ role: "user", content: prompt }],
+            response_format: this.openAIResponseFormat(config, options),
+            stream: true
+        });
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = "";
+        let text = "";
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, { stream: true });
+
+                const lines = buffer.split('\n');
+                buffer = lines.pop(); // Keep the incomplete last line
+                for (const line of lines) {
+                    const data = line.trim().replace(/^data:\s*/, '');
+                    if (!line.trim().startsWith('data:') || data === '[DONE]') continue;
+                    let chunk;
+                    try {
+                        chunk = JSON.parse(data);
+                    } catch (e) {
+                        // A garbled event is the server's fault; retrying won't fix it
+                        throw new AIResponseError(`${config.label} sent an unreadable stream event`, { cause: e });
+                    }
+                    const delta = chunk.choices?.[0]?.delta?.content;
+                    if (!delta) continue;
+                    text += delta;
+                    onChunk(text);
+                }
+            }
+        } catch (e) {
+            if (e instanceof AIError) throw e;
+            if (e.name === 'AbortError') throw new AIAbortError();
+            throw new AINetworkError(`Stream from ${config.label} was interrupted`, { cause: e });
+        }
+        return text;
+    }
 }
 
 const aiService = new AIService();
 
+// --- AI PROVIDER SETTINGS UI ---
+function populateProviderSelect(selectedId = aiService.provider) {
+    const select = document.getElementById('ai-provider');
+    select.innerHTML = Array.from(AI_PROVIDERS.values())
+        .map(p => `<option value="${p.id}">${escapeHtml(p.label)}</option>`)
+        .join('');
+    select.value = AI_PROVIDERS.has(selectedId) ? selectedId : 'gemini';
+    showProviderSettings();
+}
+
+function showProviderSettings() {
+    const providerId = document.getElementById('ai-provider').value;
+    const config = aiService.getProviderConfig(providerId);
+    const isOpenAICompatible = config.kind === 'openai';
+
+    // Keep a key typed for the previous provider before switching
+    const typedKey = document.getElementById('api-key-input').value;
+    if (typedKey && aiService.provider !== providerId) aiService.apiKeys[aiService.provider] = typedKey;
+
+    aiService.setProvider(providerId);
+    document.getElementById('api-key-input').value = aiService.apiKeys[providerId] || '';
+    document.getElementById('api-key-input').placeholder = config.requiresKey
+        ? `Enter ${config.label} API Key`
+        : 'API Key (optional for local servers)';
+    document.getElementById('provider-model').value = config.model || '';
+    document.getElementById('provider-base-url').value = config.baseUrl || '';
+    document.getElementById('provider-auth-header').value = config.authHeader || '';
+    document.getElementById('provider-batch-tokens').value = config.batchTokens || DEFAULT_BATCH_TOKENS;
+    document.getElementById('provider-embedding-model').value = config.embeddingModel || '';
+    document.getElementById('provider-base-url').style.display = isOpenAICompatible ? 'block' : 'none';
+    document.getElementById('provider-auth-header').style.display = isOpenAICompatible ? 'block' : 'none';
+    document.getElementById('remove-provider-btn').style.display = BUILTIN_PROVIDER_IDS.has(providerId) ? 'none' : 'block';
+}
+
+function saveCurrentProviderSettings() {
+    const providerId = document.getElementById('ai-provider').value;
+    saveProviderSettings(providerId, {
+        model: document.getElementById('provider-model').value.trim(),
+        baseUrl: document.getElementById('provider-base-url').value.trim(),
+        authHeader: document.getElementById('provider-auth-header').value.trim() || 'Authorization',
+        batchTokens: parseInt(document.getElementById('provider-batch-tokens').value) || DEFAULT_BATCH_TOKENS,
+        embeddingModel: document.getElementById('provider-embedding-model').value.trim()
+    });
+}
+
+// The add form has its own inputs: the settings fields above belong to the
+// selected provider and are saved to it on change.
+function addCustomProvider() {
+    const labelInput = document.getElementById('provider-label');
+    const baseUrlInput = document.getElementById('new-provider-base-url');
+    const modelInput = document.getElementById('new-provider-model');
+    const label = labelInput.value.trim();
+    const baseUrl = baseUrlInput.value.trim();
+    if (!label || !baseUrl) {
+        alert('Enter a name and the base URL (e.g. http://localhost:1234/v1) of the OpenAI-compatible server.');
+        return;
+    }
+
+    const id = `custom_${Date.now()}`;
+    registerProvider({
+        id,
+        label,
+        baseUrl,
+        model: modelInput.value.trim(),
+        authHeader: 'Authorization',
+        batchTokens: DEFAULT_BATCH_TOKENS,
+        embeddingModel: '',
+        requiresKey: false
+    });
+    saveCustomProviders();
+    labelInput.value = '';
+    baseUrlInput.value = '';
+    modelInput.value = '';
+    populateProviderSelect(id);
+}
+
+function removeCustomProvider() {
+    const providerId = document.getElementById('ai-provider').value;
+    if (BUILTIN_PROVIDER_IDS.has(providerId)) return;
+    if (!confirm(`Remove provider "${AI_PROVIDERS.get(providerId).label}"?`)) return;
+
+    AI_PROVIDERS.delete(providerId);
+    saveCustomProviders();
+    const settings = loadProviderSettings();
+    delete settings[providerId];
+    localStorage.setItem('ai_provider_settings', JSON.stringify(settings));
+    populateProviderSelect('gemini');
+}
+
+// Applies the provider picked in the UI (and a freshly typed key) before a call.
+function syncAIServiceFromUI() {
+    const provider = document.getElementById('ai-provider').value;
+    const userKey = document.getElementById('api-key-input').value;
+
+    if (userKey) aiService.setProvider(provider, userKey);
+    else aiService.setProvider(provider);
+}
+
+// --- AI REQUEST UI ---
+const activeAIControllers = new Set();
+
+// One AbortController per user-triggered AI operation; "Cancel" aborts them all.
+function startAIRequest() {
+    const controller = new AbortController();
+    activeAIControllers.add(controller);
+    document.getElementById('ai-cancel-btn').style.display = 'block';
+    return controller;
+}
+
+function finishAIRequest(controller) {
+    activeAIControllers.delete(controller);
+    if (activeAIControllers.size === 0) {
+        document.getElementById('ai-cancel-btn').style.display = 'none';
+    }
+}
+
+function cancelAIRequests() {
+    activeAIControllers.forEach(controller => controller.abort());
+}
+
+// onRetry callback that tells the user we are backing off
+function retryNotifier(element) {
+    return ({ attempt, delayMs, error }) => {
+        const reason = error.code === 'rate_limit' ? 'Rate limited' : 'Request failed';
+        element.innerText = `${reason}, retrying in ${Math.ceil(delayMs / 1000)}s (attempt ${attempt}/${AI_MAX_RETRIES})...`;
+    };
+}
+
+function showAIError(panel, error) {
+    const aiError = toAIError(error);
+    if (aiError.code !== 'aborted') console.error(error);
+    const messages = {
+        rate_limit: ['❄️ AI Cooling Down...', 'Rate limit hit and retries ran out. Please wait a bit and try again.'],
+        auth: ['🔑 API Key Problem', aiError.message],
+        network: ['📡 Provider Unreachable', `${aiError.message}. Check the base URL, that the server is running and allows this page (CORS).`],
+        aborted: ['⏹ Cancelled', 'The AI request was cancelled.']
+    };
+    const [title, detail] = messages[aiError.code] || ['Error', aiError.message];
+    panel.innerHTML = `<strong>${title}</strong><br>${escapeHtml(detail)}`;
+}
+
+function bindProviderControls() {
+    loadCustomProviders();
+    populateProviderSelect();
+
+    document.getElementById('ai-provider').addEventListener('change', showProviderSettings);
+    ['provider-model', 'provider-base-url', 'provider-auth-header', 'provider-batch-tokens', 'provider-embedding-model'].forEach(id => {
+        document.getElementById(id).addEventListener('change', saveCurrentProviderSettings);
+    });
+    document.getElementById('add-provider-btn').addEventListener('click', addCustomProvider);
+    document.getElementById('remove-provider-btn').addEventListener('click', removeCustomProvider);
+    document.getElementById('ai-cancel-btn').addEventListener('click', cancelAIRequests);
+    document.getElementById('clear-cache-btn').addEventListener('click', async () => {
+        await aiService.clearCache();
+        alert('AI response cache cleared.');
+    });
+
+    const searchMode = document.getElementById('search-mode');
+    searchMode.value = localStorage.getItem('ai_search_mode') || 'llm';
+    searchMode.addEventListener('change', () => localStorage.setItem('ai_search_mode', searchMode.value));
+}
+
 // Global State
 let svg = null;
 let g = null;
 let simulation = null;
 let masterNodes = [];
+let masterLinks = [];
 let globalNodes = [];
 let globalLinks = [];
 let lastAIResult = null;
@@ -87,19 +685,94 @@ let selectedNode = null;
 let zoom = null;
 let timeScale = null;
 let yearGroups = {};
+let changeHighlights = new Map(); // nodeId -> 'new' | 'job', from the snapshot diff
+let activeMatches = new Map(); // nodeId -> AI match, drives highlight color and size
+let pathHighlight = null; // { nodes: Set, links: Set } from the warm-intro finder
+let recencyExtent = [0, 1]; // min/max connection time of the visible people
+let ownNetwork = { nodes: [], links: [] }; // my own export, before team merging
+let teamExports = []; // [{ ownerId, name, people }]
+let activeThread = null; // { id, turns: [{ query, timestamp, result }] }, the open conversation
+let displayNodes = []; // what is drawn: globalNodes, or with company super-nodes in the company layout
+let displayLinks = [];
+let collapsedCompanies = null; // Set of collapsed companies; null = pick large ones on the next company layout
+let networkOffsetX = 20; // x shift of the network group, right of the time axis when it is shown
+let dateWindow = null; // [start, end] brushed on the time axis, null = all dates
+let companyBubbles = []; // [{ company, items, collapsed }] from the last company layout
+let networkHash = ''; // hash of the people in the merged network, scopes the AI cache
 
 // Constants
 const TIMELINE_WIDTH = 120;
 const NODE_RADIUS_MIN = 3;
 const NODE_RADIUS_MAX = 12;
-const LINK_DISTANCE_BASE = 120; // Increased from 50 for more spacing
 
-// --- DATE HELPER ---
-function parseConnectionDate(dateStr) {
-    if (!dateStr) return new Date(0);
-    return new Date(dateStr);
+// --- HTML HELPER ---
+// Imported files are user data; escape anything interpolated into innerHTML.
+function escapeHtml(str) {
+    return String(str ?? '').replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
 }
 
+// Model output is untrusted too (prompts carry imported data); keep its line breaks
+function formatAIText(text) {
+    return escapeHtml(text).replace(/\n/g, '<br>');
+}
+
+// --- HASH HELPER ---
+// Fast non-cryptographic 53-bit string hash (cyrb53), returned as hex.
+function hashString(str, seed = 0) {
+    let h1 = 0xdeadbeef ^ seed;
+    let h2 = 0x41c6ce57 ^ seed;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+// --- LOCAL DATABASE ---
+// IndexedDB for data too large for localStorage. Every store uses an `id` key;
+// add new stores to DB_STORES and bump DB_VERSION.
+const DB_NAME = 'linkedin-graph';
+const DB_VERSION = 4;
+const DB_STORES = ['snapshots', 'embeddings', 'ai_cache', 'taxonomy'];
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                DB_STORES.forEach(name => {
+                    if (!request.result.objectStoreNames.contains(name)) {
+                        request.result.createObjectStore(name, { keyPath: 'id' });
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+async function dbRequest(storeName, mode, action) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const request = action(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+const dbGet = (store, id) => dbRequest(store, 'readonly', s => s.get(id));
+const dbGetAll = (store, query) => dbRequest(store, 'readonly', s => s.getAll(query));
+const dbPut = (store, value) => dbRequest(store, 'readwrite', s => s.put(value));
+const dbDelete = (store, id) => dbRequest(store, 'readwrite', s => s.delete(id));
+
 // --- VISUALIZATION SETUP ---
 function initVisualization() {
     const container = d3.select('#container');
@@ -108,33 +781,54 @@ function initVisualization() {
     const width = window.innerWidth;
     const height = window.innerHeight;
 
+    // Canvas for the canvas renderer, underneath the SVG (which keeps the axis,
+    // bubbles and all pointer handling)
+    const canvas = container.append('canvas')
+        .style('position', 'absolute')
+        .style('top', 0)
+        .style('left', 0)
+        .style('display', 'none');
+    const ratio = window.devicePixelRatio || 1;
+    canvas.attr('width', width * ratio)
+        .attr('height', height * ratio)
+        .style('width', `${width}px`)
+        .style('height', `${height}px`);
+
     // Create SVG
     svg = container.append('svg')
         .attr('width', width)
         .attr('height', height)
+        .style('position', 'absolute')
+        .style('top', 0)
+        .style('left', 0)
         .style('background', '#000');
 
-    // Create main group with zoom
+    // Create main group with zoom. With the canvas renderer, presses on a node
+    // drag the node instead of panning.
     zoom = d3.zoom()
         .scaleExtent([0.1, 4])
+        .filter(event => (!event.ctrlKey || event.type === 'wheel') && !event.button
+            && !(canvasRenderer && (event.type === 'mousedown' || event.type === 'dblclick') && findCanvasNode(event)))
         .on('zoom', (event) => {
             g.attr('transform', event.transform);
+            if (canvasRenderer) drawCanvas();
         });
 
     svg.call(zoom);
+    svg.append('title').attr('class', 'canvas-tooltip');
+    canvasRenderer = null;
 
     g = svg.append('g');
 
-    // Create timeline axis group (hidden)
+    // Create timeline axis group (shown by the time-based layouts)
     const timelineGroup = g.append('g')
         .attr('class', 'timeline-axis')
-        .attr('transform', `translate(${TIMELINE_WIDTH}, 0)`)
-        .style('display', 'none'); // Hide timeline
+        .attr('transform', `translate(${TIMELINE_WIDTH}, 0)`);
 
-    // Create network group (for nodes and links) - start from left edge since timeline is hidden
+    // Create network group (for nodes and links), shifted right of the axis by updateLayout
     const networkGroup = g.append('g')
         .attr('class', 'network')
-        .attr('transform', 'translate(20, 0)'); // Start from left edge
+        .attr('transform', 'translate(20, 0)');
 
     // Store groups for later use
     g.timelineGroup = timelineGroup;
@@ -142,35 +836,43 @@ function initVisualization() {
 }
 
 // --- LAYOUT LOGIC ---
+const TIME_AXIS_LAYOUTS = new Set(['organic', 'timeline', 'clusters']); // layouts with time on Y
+
 function updateLayout() {
     if (!g || globalNodes.length === 0) return;
 
     const mode = document.getElementById('layout-mode').value;
-    const width = window.innerWidth - 40; // Full width since timeline is hidden
+    const showAxis = TIME_AXIS_LAYOUTS.has(mode);
+    const width = window.innerWidth - (showAxis ? TIMELINE_WIDTH + 40 : 40);
     const height = window.innerHeight;
 
-    // Calculate time scale
-    const dates = globalNodes.filter(n => n.id !== 'ME').map(n => n.connectedDate.getTime());
-    const minTime = Math.min(...dates);
-    const maxTime = Math.max(...dates);
-    const timeSpan = maxTime - minTime || 1;
+    updateRecencyExtent();
 
-    // Y-axis: Time (vertical timeline)
+    // Y-axis: Time (vertical timeline). Spans the whole network, not just the
+    // visible people, so the axis and the brushed window stay put while filtering.
+    const [minDate, maxDate] = d3.extent(masterNodes.filter(isPerson), n => n.connectedDate);
     timeScale = d3.scaleTime()
-        .domain([new Date(minTime), new Date(maxTime)])
+        .domain([minDate || new Date(), maxDate || new Date()])
         .range([50, height - 50]);
 
-    // Draw timeline axis (hidden)
-    // drawTimelineAxis(timeScale, height);
+    g.select('.timeline-axis').style('display', showAxis ? null : 'none');
+    networkOffsetX = showAxis ? TIMELINE_WIDTH + 20 : 20;
+    g.select('.network').attr('transform', `translate(${networkOffsetX}, 0)`);
+    if (showAxis) drawTimelineAxis(timeScale, height);
+
+    buildDisplayGraph(mode);
 
     // Update node positions based on mode
-    if (mode === 'timeline') {
+    if (mode === 'companies') {
+        layoutCompanies(width, height);
+    } else if (mode === 'timeline') {
         layoutTimeline(width, height, timeScale);
     } else if (mode === 'clusters') {
         layoutClusters(width, height, timeScale);
     } else if (mode === 'organic') {
         layoutOrganic(width, height, timeScale);
     }
+    if (mode !== 'companies') companyBubbles = [];
 
     // Render visualization
     renderVisualization();
@@ -210,26 +912,57 @@ function drawTimelineAxis(scale, height) {
             .style('stroke', '#444')
             .style('stroke-width', 1);
     });
+
+    // Drag a range along the axis to show only people connected in that window
+    const brush = d3.brushY()
+        .extent([[-50, scale.range()[0]], [10, scale.range()[1]]])
+        .on('end', (event) => {
+            if (!event.sourceEvent) return; // restoring the window below, not a user drag
+            dateWindow = event.selection ? event.selection.map(y => scale.invert(y)) : null;
+            applyFilters();
+        });
+    const brushGroup = timelineGroup.append('g')
+        .attr('class', 'date-brush')
+        .call(brush)
+        .on('mousedown.nozoom touchstart.nozoom', event => event.stopPropagation()); // don't pan while brushing
+    brushGroup.select('.selection')
+        .style('fill', '#0077b5')
+        .style('fill-opacity', 0.35);
+    if (dateWindow) brushGroup.call(brush.move, dateWindow.map(scale));
 }
 
-function layoutTimeline(width, height, timeScale) {
-    // Timeline layout: nodes positioned by date (Y) and spread horizontally (X)
-    globalNodes.forEach((node, i) => {
+// ME at the center, teammates' owner nodes on a ring around it
+function positionAnchors(width, height) {
+    const owners = globalNodes.filter(n => n.isOwner);
+    const ringRadius = Math.min(width, height) / 4;
+    globalNodes.forEach(node => {
         if (node.id === 'ME') {
             node.fx = width / 2;
             node.fy = height / 2;
-        } else {
+        }
+    });
+    owners.forEach((owner, i) => {
+        const angle = (2 * Math.PI * i) / owners.length - Math.PI / 2;
+        owner.fx = width / 2 + ringRadius * Math.cos(angle);
+        owner.fy = height / 2 + ringRadius * Math.sin(angle);
+    });
+}
+
+function layoutTimeline(width, height, timeScale) {
+    // Timeline layout: nodes positioned by date (Y) and spread horizontally (X)
+    positionAnchors(width, height);
+    // Sorted connection times per year, so each node's rank is a binary search
+    const yearTimes = d3.rollup(globalNodes.filter(isPerson),
+        nodes => nodes.map(n => n.connectedDate.getTime()).sort(d3.ascending),
+        n => n.connectedDate.getFullYear());
+    globalNodes.forEach((node, i) => {
+        if (isPerson(node)) {
             // Y position based on date
             node.fy = timeScale(node.connectedDate);
             // X position: spread horizontally with some randomness
-            const yearIndex = node.connectedDate.getFullYear();
-            const nodesInYear = globalNodes.filter(n =>
-                n.id !== 'ME' && n.connectedDate.getFullYear() === yearIndex
-            ).length;
-            const indexInYear = globalNodes.filter(n =>
-                n.id !== 'ME' && n.connectedDate.getFullYear() === yearIndex &&
-                n.connectedDate <= node.connectedDate
-            ).length;
+            const times = yearTimes.get(node.connectedDate.getFullYear());
+            const nodesInYear = times.length;
+            const indexInYear = d3.bisectRight(times, node.connectedDate.getTime());
 
             // Spread nodes horizontally within year
             const spacing = Math.min(width / (nodesInYear + 1), 180); // Increased from 100 to 180
@@ -242,18 +975,14 @@ function layoutClusters(width, height, timeScale) {
     // Cluster by year: group nodes by year, then cluster horizontally
     const yearMap = {};
     globalNodes.forEach(node => {
-        if (node.id === 'ME') return;
+        if (isAnchor(node)) return;
         const year = node.connectedDate.getFullYear();
         if (!yearMap[year]) yearMap[year] = [];
         yearMap[year].push(node);
     });
 
     // Position ME at center
-    const meNode = globalNodes.find(n => n.id === 'ME');
-    if (meNode) {
-        meNode.fx = width / 2;
-        meNode.fy = height / 2;
-    }
+    positionAnchors(width, height);
 
     // Position nodes in year clusters
     const years = Object.keys(yearMap).sort((a, b) => b - a);
@@ -270,204 +999,1031 @@ function layoutClusters(width, height, timeScale) {
     });
 }
 
-function layoutOrganic(width, height, timeScale) {
-    // Organic: use force simulation with time-based constraints
-    // ME at center
-    const meNode = globalNodes.find(n => n.id === 'ME');
-    if (meNode) {
-        meNode.fx = width / 2;
-        meNode.fy = height / 2;
-    }
+// --- COMPANY LAYOUT ---
+// Groups people by normalized company inside bubbles. Companies listed in
+// collapsedCompanies are drawn as one super-node sized by headcount; only the
+// rendered graph (displayNodes/displayLinks) changes, globalNodes stays people.
+const COMPANY_COLLAPSE_MIN = 8; // companies this large start collapsed
+const NO_COMPANY = '';
 
-    // Other nodes: Y constrained by time, X free
-    globalNodes.forEach(node => {
-        if (node.id !== 'ME') {
-            node.fy = timeScale(node.connectedDate);
-            node.fx = null; // Let force simulation determine X
-        }
-    });
+function companyGroupKey(node) {
+    return node.companyCanonical || NO_COMPANY;
 }
 
-function renderVisualization() {
-    const networkGroup = g.select('.network');
-    networkGroup.selectAll('*').remove();
-
-    // Create link elements
-    const link = networkGroup.selectAll('.link')
-        .data(globalLinks)
-        .enter()
-        .append('line')
-        .attr('class', 'link')
-        .style('stroke', '#555')
-        .style('stroke-width', 1)
-        .style('stroke-opacity', 0.3);
+function superNodeId(company) {
+    return `company:${company}`;
+}
 
-    // Create node elements
-    const node = networkGroup.selectAll('.node')
-        .data(globalNodes)
-        .enter()
-        .append('g')
-        .attr('class', 'node')
-        .style('cursor', 'pointer')
-        .call(d3.drag()
-            .on('start', dragStarted)
-            .on('drag', dragged)
-            .on('end', dragEnded));
+// Display graph for the current mode: globalNodes as-is, or with collapsed companies folded
+function buildDisplayGraph(mode) {
+    if (mode !== 'companies') {
+        displayNodes = globalNodes;
+        displayLinks = globalLinks;
+        return;
+    }
 
-    // Add circles
-    node.append('circle')
-        .attr('r', d => {
-            if (d.id === 'ME') return 15;
-            // Size based on recency (newer = larger)
-            const dates = globalNodes.filter(n => n.id !== 'ME').map(n => n.connectedDate.getTime());
-            const minTime = Math.min(...dates);
-            const maxTime = Math.max(...dates);
-            const timeSpan = maxTime - minTime || 1;
-            const recency = (d.connectedDate.getTime() - minTime) / timeSpan;
-            return NODE_RADIUS_MIN + (recency * (NODE_RADIUS_MAX - NODE_RADIUS_MIN));
-        })
-        .style('fill', d => {
-            if (d.id === 'ME') return '#fff';
-            // Color by year
-            const year = d.connectedDate.getFullYear();
-            const hue = (year % 10) * 36; // Cycle through hues
-            return d3.hsl(hue, 0.7, 0.6).toString();
-        })
-        .style('stroke', '#fff')
-        .style('stroke-width', 1.5);
+    const groups = d3.group(globalNodes.filter(isPerson), companyGroupKey);
+    if (collapsedCompanies === null) {
+        collapsedCompanies = new Set(Array.from(groups)
+            .filter(([company, members]) => company !== NO_COMPANY && members.length >= COMPANY_COLLAPSE_MIN)
+            .map(([company]) => company));
+    }
 
-    // Add labels
-    node.append('text')
-        .text(d => d.name.split(' ')[0]) // First name only
-        .attr('dx', d => (d.id === 'ME' ? 20 : 8))
-        .attr('dy', 4)
-        .style('fill', '#fff')
-        .style('font-size', d => d.id === 'ME' ? '14px' : '10px')
-        .style('pointer-events', 'none');
+    const remap = new Map(); // member id -> super-node id
+    const superNodes = [];
+    groups.forEach((members, company) => {
+        if (!collapsedCompanies.has(company)) return;
+        const id = superNodeId(company);
+        members.forEach(m => remap.set(m.id, id));
+        superNodes.push({
+            id,
+            name: company,
+            isCompany: true,
+            companyCanonical: company,
+            members,
+            connectedDate: d3.max(members, m => m.connectedDate)
+        });
+    });
 
-    // Add tooltips
-    node.append('title')
-        .text(d => `${d.name}\n${d.role}\n${d.company}\n${d.connectedDate.toLocaleDateString()}`);
+    displayNodes = [...globalNodes.filter(n => !remap.has(n.id)), ...superNodes];
+    const seen = new Set();
+    displayLinks = [];
+    globalLinks.forEach(l => {
+        // forceLink replaces ids with node objects once a simulation has run
+        const sourceId = l.source.id || l.source;
+        const targetId = l.target.id || l.target;
+        const source = remap.get(sourceId) || sourceId;
+        const target = remap.get(targetId) || targetId;
+        const key = `${source}|${target}`;
+        if (source === target || seen.has(key)) return;
+        seen.add(key);
+        displayLinks.push({ source, target });
+    });
+}
 
-    // Force simulation
-    simulation = d3.forceSimulation(globalNodes)
-        .force('link', d3.forceLink(globalLinks)
-            .id(d => d.id)
-            .distance(LINK_DISTANCE_BASE)
-            .strength(0.1))
-        .force('charge', d3.forceManyBody()
-            .strength(d => d.id === 'ME' ? -800 : -150)) // Increased repulsion: -50 to -150, ME: -500 to -800
-        .force('x', d3.forceX(d => {
-            if (d.fx !== undefined) return d.fx;
-            return window.innerWidth / 2;
-        }).strength(0.1))
-        .force('y', d3.forceY(d => {
-            if (d.fy !== undefined) return d.fy;
-            return window.innerHeight / 2;
-        }).strength(0.3))
-        .on('tick', () => {
-            link
-                .attr('x1', d => d.source.x)
-                .attr('y1', d => d.source.y)
-                .attr('x2', d => d.target.x)
-                .attr('y2', d => d.target.y);
+// Packs one bubble per company (area ~ headcount) below a row of anchors and
+// spirals the members inside it
+function layoutCompanies(width, height) {
+    const top = 100;
+    const anchors = displayNodes.filter(isAnchor);
+    anchors.forEach((anchor, i) => {
+        anchor.fx = width / 2 + (i - (anchors.length - 1) / 2) * 120;
+        anchor.fy = 50;
+    });
 
-            node.attr('transform', d => `translate(${d.x},${d.y})`);
+    const groups = Array.from(d3.group(displayNodes.filter(n => !isAnchor(n)), companyGroupKey),
+        ([company, items]) => ({ company, items, weight: d3.sum(items, d => d.isCompany ? d.members.length * 0.6 : 1) }));
+    const root = d3.pack()
+        .size([width - 40, height - top - 20])
+        .padding(25)(d3.hierarchy({ children: groups }).sum(d => d.weight || 0));
+
+    companyBubbles = root.children ? root.children.map(leaf => {
+        const { company, items } = leaf.data;
+        const cx = leaf.x + 20;
+        const cy = leaf.y + top;
+        const spacing = items.length > 1 ? leaf.r / Math.sqrt(items.length + 0.5) : 0;
+        items.forEach((node, i) => {
+            const radius = spacing * Math.sqrt(i + 0.5);
+            const angle = i * Math.PI * (3 - Math.sqrt(5)); // golden angle
+            node.fx = cx + radius * Math.cos(angle);
+            node.fy = cy + radius * Math.sin(angle);
         });
+        return { company, items, collapsed: items.length === 1 && items[0].isCompany };
+    }) : [];
+}
 
-    // Click handler
-    node.on('click', (event, d) => {
-        selectedNode = d;
-        updateSidebarForPerson(d);
-
-        // Highlight selected node
-        node.select('circle')
-            .style('stroke-width', n => n.id === d.id ? 4 : 1.5)
-            .style('stroke', n => n.id === d.id ? '#00ff88' : '#fff');
-
-        // Highlight selected item in list
-        document.querySelectorAll('.filtered-node-item').forEach(item => {
-            if (item.dataset.nodeId === d.id) {
-                item.style.background = '#d0e8ff';
-                item.style.border = '2px solid #0077b5';
-            } else {
-                item.style.background = '#f0f0f0';
-                item.style.border = 'none';
-            }
+// Bubble around each expanded company, following its members as they move
+function drawCompanyBubbles(bubbleGroup) {
+    const bubbles = companyBubbles.filter(b => b.company !== NO_COMPANY && !b.collapsed);
+    const bubble = bubbleGroup.selectAll('.company-bubble')
+        .data(bubbles, b => b.company)
+        .join(enter => {
+            const group = enter.append('g').attr('class', 'company-bubble').style('cursor', 'pointer');
+            group.append('circle')
+                .style('fill', b => companyColor(b.company))
+                .style('fill-opacity', 0.08)
+                .style('stroke', b => companyColor(b.company))
+                .style('stroke-opacity', 0.5)
+                .style('stroke-dasharray', '4 3');
+            group.append('text')
+                .text(b => `${b.company} (${b.items.length})`)
+                .attr('text-anchor', 'middle')
+                .style('fill', '#ccc')
+                .style('font-size', '11px');
+            group.append('title').text('Double-click to collapse');
+            group.on('dblclick', (event, b) => {
+                event.stopPropagation();
+                collapsedCompanies.add(b.company);
+                updateLayout();
+            });
+            return group;
         });
-    });
-}
 
-function dragStarted(event, d) {
-    if (!event.active) simulation.alphaTarget(0.3).restart();
-    d.fx = d.x;
-    d.fy = d.y;
+    bubble.each(function(b) {
+        const cx = d3.mean(b.items, d => d.x);
+        const cy = d3.mean(b.items, d => d.y);
+        const r = (d3.max(b.items, d => Math.hypot(d.x - cx, d.y - cy)) || 0) + NODE_RADIUS_MAX + 6;
+        d3.select(this).select('circle').attr('cx', cx).attr('cy', cy).attr('r', r);
+        d3.select(this).select('text').attr('x', cx).attr('y', cy - r - 4);
+    });
 }
 
-function dragged(event, d) {
-    d.fx = event.x;
-    d.fy = event.y;
+function companyColor(company) {
+    return d3.hsl(parseInt(hashString(company).slice(-6), 16) % 360, 0.6, 0.55).toString();
+}
+
+function showCompanyInSidebar(superNode) {
+    const panel = document.getElementById('gemini-analysis');
+    const members = [...superNode.members].sort((a, b) => a.name.localeCompare(b.name));
+    panel.innerHTML = `
+        <strong>${escapeHtml(superNode.name)}</strong><br>
+        <small>${members.length} connections · double-click the node to expand</small>
+        <ul style="margin: 6px 0; padding-left: 18px; font-size: 13px;">
+            ${members.map(m => `<li><a href="#" onclick="selectNodeFromList('${m.id}'); return false;" style="color: #0077b5;">${escapeHtml(m.name)}</a> – ${escapeHtml(m.role)}</li>`).join('')}
+        </ul>
+    `;
+    document.getElementById('person-actions').style.display = 'none';
+}
+
+function layoutOrganic(width, height, timeScale) {
+    // Organic: use force simulation with time-based constraints
+    // ME at center
+    positionAnchors(width, height);
+
+    // Other nodes: Y constrained by time, X free
+    globalNodes.forEach(node => {
+        if (isPerson(node)) {
+            node.fy = timeScale(node.connectedDate);
+            node.fx = null; // Let force simulation determine X
+        }
+    });
+}
+
+// --- NODE STYLE ---
+const CHANGE_COLORS = { new: '#00f2ff', job: '#ffa500' };
+const OWNER_COLOR = '#ffd700';
+const PATH_COLOR = '#ffd700';
+
+// ME and teammates' "owner" nodes anchor the graph; everything else is a person.
+function isAnchor(d) {
+    return d.id === 'ME' || d.isOwner === true;
+}
+
+// Company super-nodes (company layout) are neither anchors nor people
+function isPerson(d) {
+    return !isAnchor(d) && !d.isCompany;
+}
+
+function updateRecencyExtent() {
+    const extent = d3.extent(globalNodes.filter(isPerson), n => n.connectedDate.getTime());
+    recencyExtent = extent[0] === undefined ? [0, 1] : extent;
+}
+
+function getNodeRadius(d) {
+    if (d.id === 'ME') return 15;
+    if (d.isOwner) return 12;
+    if (d.isCompany) return NODE_RADIUS_MAX + 3 * Math.sqrt(d.members.length);
+    if (activeMatches.has(d.id)) {
+        const score = Number(activeMatches.get(d.id).score) || 0;
+        return NODE_RADIUS_MIN + (score / 100) * (NODE_RADIUS_MAX - NODE_RADIUS_MIN) + 5;
+    }
+    // Size based on recency (newer = larger)
+    const [minTime, maxTime] = recencyExtent;
+    const recency = (d.connectedDate.getTime() - minTime) / (maxTime - minTime || 1);
+    return NODE_RADIUS_MIN + (recency * (NODE_RADIUS_MAX - NODE_RADIUS_MIN));
+}
+
+const UNKNOWN_COLOR = '#999';
+const CATEGORY_COLORS = d3.schemeTableau10.concat(d3.schemeSet3);
+
+// Fill for a label value; seniority runs along a scale, other labels get fixed hues
+function taxonomyColor(field, value) {
+    const values = TAXONOMY_VALUES[field];
+    if (!value || value === 'unknown') return UNKNOWN_COLOR;
+    if (field === 'seniority') return d3.interpolateViridis(values.indexOf(value) / (values.length - 2));
+    return CATEGORY_COLORS[values.indexOf(value) % CATEGORY_COLORS.length];
+}
+
+function renderColorLegend() {
+    const legend = document.getElementById('color-legend');
+    const field = document.getElementById('color-by').value;
+    if (field === 'tags') {
+        legend.innerHTML = tagPalette.size === 0
+            ? 'No tags yet: add them in a person\'s sidebar.'
+            : Array.from(tagPalette, ([tag, color]) =>
+                `<span style="white-space: nowrap; margin-right: 6px;"><span style="color: ${color};">●</span> ${escapeHtml(tag)}</span>`
+            ).join(' ');
+        return;
+    }
+    if (!TAXONOMY_FIELDS.includes(field)) {
+        legend.innerHTML = '';
+        return;
+    }
+    const present = new Set(masterNodes.filter(isPerson).map(n => n[field]));
+    legend.innerHTML = TAXONOMY_VALUES[field].filter(v => present.has(v)).map(v =>
+        `<span style="white-space: nowrap; margin-right: 6px;"><span style="color: ${taxonomyColor(field, v)};">●</span> ${v}</span>`
+    ).join(' ');
+}
+
+function getNodeFill(d) {
+    if (d.id === 'ME') return '#fff';
+    if (d.isOwner) return OWNER_COLOR;
+    if (d.isCompany) return d.members.some(m => activeMatches.has(m.id)) ? '#00ff88' : companyColor(d.name);
+    if (activeMatches.has(d.id)) return '#00ff88';
+    const colorBy = document.getElementById('color-by').value;
+    if (TAXONOMY_FIELDS.includes(colorBy)) return taxonomyColor(colorBy, d[colorBy]);
+    if (colorBy === 'tags') return d.tags.length > 0 ? tagPalette.get(d.tags[0]) : UNKNOWN_COLOR;
+    // Color by year
+    const year = d.connectedDate.getFullYear();
+    const hue = (year % 10) * 36; // Cycle through hues
+    return d3.hsl(hue, 0.7, 0.6).toString();
+}
+
+function getNodeStroke(d) {
+    if (selectedNode && selectedNode.id === d.id) return '#00ff88';
+    if (isFindMatch(d)) return FIND_COLOR;
+    if (pathHighlight && pathHighlight.nodes.has(d.id)) return PATH_COLOR;
+    if (changeHighlights.has(d.id)) return CHANGE_COLORS[changeHighlights.get(d.id)];
+    return '#fff';
+}
+
+function getNodeStrokeWidth(d) {
+    if (selectedNode && selectedNode.id === d.id) return 4;
+    if (isFindMatch(d)) return isCurrentFind(d) ? 5 : 3;
+    if (pathHighlight && pathHighlight.nodes.has(d.id)) return 3;
+    if (changeHighlights.has(d.id)) return 3;
+    return 1.5;
+}
+
+const linkKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+const endpointId = (end) => (typeof end === 'object' ? end.id : end);
+
+function isPathLink(l) {
+    return pathHighlight !== null && pathHighlight.links.has(linkKey(endpointId(l.source), endpointId(l.target)));
+}
+
+function refreshNodeStyles() {
+    if (!g) return;
+    if (canvasRenderer) drawCanvas();
+    g.selectAll('.node circle')
+        .attr('r', getNodeRadius)
+        .style('fill', getNodeFill)
+        .style('stroke', getNodeStroke)
+        .style('stroke-width', getNodeStrokeWidth);
+    g.selectAll('.node .tag-badge')
+        .attr('x', d => 0.7 * getNodeRadius(d) - TAG_BADGE_SIZE / 2)
+        .attr('y', d => -0.7 * getNodeRadius(d) - TAG_BADGE_SIZE / 2)
+        .style('display', d => tagBadgeColor(d) ? null : 'none')
+        .style('fill', tagBadgeColor);
+    g.selectAll('.link')
+        .style('stroke', l => isPathLink(l) ? PATH_COLOR : '#555')
+        .style('stroke-width', l => isPathLink(l) ? 3 : 1)
+        .style('stroke-opacity', l => isPathLink(l) ? 1 : (pathHighlight ? 0.1 : 0.3));
+}
+
+function nodeLabel(d) {
+    if (d.isCompany) return `${d.name} (${d.members.length})`;
+    return d.isOwner ? d.name : d.name.split(' ')[0]; // First name only
+}
+
+function nodeTooltip(d) {
+    if (d.isOwner) return `${d.name}\nTeammate · ${d.connectionCount} connections`;
+    if (d.isCompany) return `${d.name}\n${d.members.length} connections\nDouble-click to expand`;
+    const tags = isPerson(d) && d.tags.length > 0 ? `\nTags: ${d.tags.join(', ')}` : '';
+    return `${d.name}\n${d.role}\n${d.companyCanonical}\n${d.connectedDate.toLocaleDateString()}${tags}`;
+}
+
+function handleNodeClick(d) {
+    if (d.isOwner) return;
+    if (d.isCompany) {
+        showCompanyInSidebar(d);
+        return;
+    }
+    selectedNode = d;
+    updateSidebarForPerson(d);
+
+    // Highlight selected node
+    refreshNodeStyles();
+
+    // Highlight selected item in list
+    document.querySelectorAll('.filtered-node-item').forEach(item => {
+        if (item.dataset.nodeId === d.id) {
+            item.style.background = '#d0e8ff';
+            item.style.border = '2px solid #0077b5';
+        } else {
+            item.style.background = '#f0f0f0';
+            item.style.border = 'none';
+        }
+    });
+}
+
+// Double-click a company super-node to expand it
+function handleNodeDblClick(event, d) {
+    if (!d.isCompany) return;
+    event.stopPropagation();
+    collapsedCompanies.delete(d.name);
+    updateLayout();
+}
+
+function renderVisualization() {
+    if (simulation) simulation.stop();
+    const networkGroup = g.select('.network');
+    networkGroup.selectAll('*').remove();
+
+    // Company bubbles sit behind links and nodes
+    const bubbleGroup = networkGroup.append('g').attr('class', 'company-bubbles');
+
+    const draw = useCanvasRenderer()
+        ? startCanvasRenderer()
+        : renderSvgElements(networkGroup);
+
+    // Force simulation
+    simulation = startSimulation(displayNodes, displayLinks)
+        .on('tick', () => {
+            draw();
+            if (companyBubbles.length > 0) drawCompanyBubbles(bubbleGroup);
+        });
+
+    refreshNodeStyles();
+    renderPlaybackHistogram();
+    applyPlayback();
+}
+
+// One SVG <g> per node; returns the tick callback that moves them
+function renderSvgElements(networkGroup) {
+    stopCanvasRenderer();
+
+    // Create link elements
+    const link = networkGroup.selectAll('.link')
+        .data(displayLinks)
+        .enter()
+        .append('line')
+        .attr('class', 'link');
+
+    // Create node elements
+    const node = networkGroup.selectAll('.node')
+        .data(displayNodes)
+        .enter()
+        .append('g')
+        .attr('class', 'node')
+        .style('cursor', 'pointer')
+        .call(d3.drag()
+            .on('start', dragStarted)
+            .on('drag', dragged)
+            .on('end', dragEnded));
+
+    // Add circles
+    node.append('circle');
+    node.filter(isPerson).append('rect')
+        .attr('class', 'tag-badge')
+        .attr('width', TAG_BADGE_SIZE)
+        .attr('height', TAG_BADGE_SIZE)
+        .style('stroke', '#000')
+        .style('pointer-events', 'none');
+
+    // Add labels
+    node.append('text')
+        .text(nodeLabel)
+        .attr('dx', d => (isAnchor(d) ? 20 : d.isCompany ? getNodeRadius(d) + 4 : 8))
+        .attr('dy', 4)
+        .style('fill', '#fff')
+        .style('font-size', d => isPerson(d) ? '10px' : '14px')
+        .style('pointer-events', 'none');
+
+    // Add tooltips
+    node.append('title').text(nodeTooltip);
+
+    node.on('click', (event, d) => handleNodeClick(d));
+    node.on('dblclick', handleNodeDblClick);
+
+    return () => {
+        link
+            .attr('x1', d => d.source.x)
+            .attr('y1', d => d.source.y)
+            .attr('x2', d => d.target.x)
+            .attr('y2', d => d.target.y);
+
+        node.attr('transform', d => `translate(${d.x},${d.y})`);
+    };
+}
+
+function dragStarted(event, d) {
+    if (!event.active) simulation.alphaTarget(0.3).restart();
+    d.fx = d.x;
+    d.fy = d.y;
+}
+
+// --- CANVAS RENDERER ---
+// Draws links and nodes onto one <canvas> instead of an SVG element per node, for
+// networks with thousands of connections. The SVG stays on top for the axis,
+// company bubbles, zoom and pointer events; a quadtree finds the node under the pointer.
+const CANVAS_AUTO_THRESHOLD = 1500; // "auto" switches to canvas above this many people
+const CANVAS_LABEL_ZOOM = 1.5; // people's names appear from this zoom level
+let canvasRenderer = null; // { context, ratio, quadtree, maxRadius } while the canvas renderer is active
+
+function useCanvasRenderer() {
+    const mode = document.getElementById('renderer').value;
+    if (mode === 'auto') return displayNodes.filter(isPerson).length > CANVAS_AUTO_THRESHOLD;
+    return mode === 'canvas';
+}
+
+// Shows the canvas and wires pointer handling on the SVG; returns the tick callback
+function startCanvasRenderer() {
+    const canvas = d3.select('#container canvas').style('display', null);
+    svg.style('background', 'none');
+    canvasRenderer = {
+        context: canvas.node().getContext('2d'),
+        ratio: window.devicePixelRatio || 1,
+        quadtree: null,
+        maxRadius: 0
+    };
+
+    svg.call(d3.drag()
+            .filter(event => !event.button && findCanvasNode(event) !== undefined)
+            .subject(event => findCanvasNode(event.sourceEvent))
+            .on('start', event => dragStarted(event, event.subject))
+            .on('drag', event => {
+                const [x, y] = canvasPointer(event.sourceEvent);
+                dragged({ x, y }, event.subject);
+            })
+            .on('end', event => dragEnded(event, event.subject)))
+        .on('click.canvas', event => {
+            const d = findCanvasNode(event);
+            if (d) handleNodeClick(d);
+        })
+        .on('dblclick.canvas', event => {
+            const d = findCanvasNode(event);
+            if (d) handleNodeDblClick(event, d);
+        })
+        .on('mousemove.canvas', event => {
+            const d = findCanvasNode(event);
+            svg.style('cursor', d ? 'pointer' : null);
+            svg.select('.canvas-tooltip').text(d ? nodeTooltip(d) : '');
+        });
+
+    return drawCanvas;
+}
+
+function stopCanvasRenderer() {
+    d3.select('#container canvas').style('display', 'none');
+    svg.style('background', '#000')
+        .style('cursor', null)
+        .on('.drag', null)
+        .on('click.canvas dblclick.canvas mousemove.canvas', null);
+    svg.select('.canvas-tooltip').text('');
+    canvasRenderer = null;
+}
+
+// Pointer position in network coordinates (undoing zoom and the axis offset)
+function canvasPointer(event) {
+    const [x, y] = d3.zoomTransform(svg.node()).invert(d3.pointer(event, svg.node()));
+    return [x - networkOffsetX, y];
+}
+
+// Node under the pointer; the quadtree is rebuilt lazily after nodes move
+function findCanvasNode(event) {
+    if (!canvasRenderer) return undefined;
+    if (!canvasRenderer.quadtree) {
+        const shown = displayNodes.filter(isShownAtCutoff);
+        canvasRenderer.quadtree = d3.quadtree(shown, d => d.x, d => d.y);
+        canvasRenderer.maxRadius = d3.max(shown, getNodeRadius) || 0;
+    }
+    const [x, y] = canvasPointer(event);
+    const d = canvasRenderer.quadtree.find(x, y, canvasRenderer.maxRadius + 2);
+    return d && Math.hypot(d.x - x, d.y - y) <= getNodeRadius(d) + 2 ? d : undefined;
+}
+
+function drawCanvas() {
+    const { context, ratio } = canvasRenderer;
+    canvasRenderer.quadtree = null;
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.fillStyle = '#000';
+    context.fillRect(0, 0, window.innerWidth, window.innerHeight);
+    drawNetwork(context, d3.zoomTransform(svg.node()), true);
+}
+
+// Links, nodes and (level-of-detail) labels as they appear in the SVG renderer.
+// Shared by the canvas renderer and the playback recorder.
+function drawNetwork(context, transform, withLabels) {
+    context.save();
+    context.translate(transform.x, transform.y);
+    context.scale(transform.k, transform.k);
+    context.translate(networkOffsetX, 0);
+
+    const links = displayLinks.filter(l => isShownAtCutoff(l.source) && isShownAtCutoff(l.target));
+    context.lineWidth = 1;
+    context.strokeStyle = '#555';
+    context.globalAlpha = pathHighlight ? 0.1 : 0.3;
+    context.beginPath();
+    links.forEach(l => {
+        if (isPathLink(l)) return;
+        context.moveTo(l.source.x, l.source.y);
+        context.lineTo(l.target.x, l.target.y);
+    });
+    context.stroke();
+
+    context.lineWidth = 3;
+    context.strokeStyle = PATH_COLOR;
+    context.globalAlpha = 1;
+    context.beginPath();
+    links.forEach(l => {
+        if (!isPathLink(l)) return;
+        context.moveTo(l.source.x, l.source.y);
+        context.lineTo(l.target.x, l.target.y);
+    });
+    context.stroke();
+
+    const nodes = displayNodes.filter(isShownAtCutoff);
+    nodes.forEach(d => {
+        context.beginPath();
+        context.arc(d.x, d.y, getNodeRadius(d), 0, 2 * Math.PI);
+        context.fillStyle = getNodeFill(d);
+        context.fill();
+        context.lineWidth = getNodeStrokeWidth(d);
+        context.strokeStyle = getNodeStroke(d);
+        context.stroke();
+    });
+
+    context.lineWidth = 1;
+    context.strokeStyle = '#000';
+    nodes.forEach(d => {
+        const color = tagBadgeColor(d);
+        if (!color) return;
+        const r = getNodeRadius(d);
+        context.fillStyle = color;
+        context.fillRect(d.x + 0.7 * r - TAG_BADGE_SIZE / 2, d.y - 0.7 * r - TAG_BADGE_SIZE / 2, TAG_BADGE_SIZE, TAG_BADGE_SIZE);
+        context.strokeRect(d.x + 0.7 * r - TAG_BADGE_SIZE / 2, d.y - 0.7 * r - TAG_BADGE_SIZE / 2, TAG_BADGE_SIZE, TAG_BADGE_SIZE);
+    });
+
+    if (withLabels) {
+        // Anchors, companies, the selection, AI and find matches always; everyone else once zoomed in
+        context.fillStyle = '#fff';
+        nodes.forEach(d => {
+            if (isPerson(d) && transform.k < CANVAS_LABEL_ZOOM && d !== selectedNode
+                && !activeMatches.has(d.id) && !isFindMatch(d)) return;
+            context.font = isPerson(d) ? '10px sans-serif' : '14px sans-serif';
+            const dx = isAnchor(d) ? 20 : d.isCompany ? getNodeRadius(d) + 4 : 8;
+            context.fillText(nodeLabel(d), d.x + dx, d.y + 4);
+        });
+    }
+    context.restore();
+}
+
+function dragged(event, d) {
+    d.fx = event.x;
+    d.fy = event.y;
 }
 
 function dragEnded(event, d) {
     if (!event.active) simulation.alphaTarget(0);
-    // Keep Y position fixed (time-based), allow X to be free
-    if (d.id !== 'ME') {
+    // Keep Y position fixed (time-based), allow X to be free; the company layout keeps both
+    if (isPerson(d) && document.getElementById('layout-mode').value !== 'companies') {
         d.fx = null;
     }
 }
 
-// --- FILTER LOGIC ---
-function populateYearFilter(nodes) {
-    const filterSelect = document.getElementById('year-filter');
-    filterSelect.innerHTML = '<option value="all">All Years</option>';
-
-    const years = new Set();
-    nodes.forEach(n => {
-        if (n.id !== 'ME' && n.connectedDate) {
-            years.add(n.connectedDate.getFullYear());
-        }
-    });
+// --- PLAYBACK ---
+// Replays how the network grew: people appear in `Connected On` order as a
+// cutoff date advances. Nodes stay in the simulation and are only hidden.
+const PLAYBACK_STEPS = 1000; // scrubber resolution
+const MONTH_MS = 30.44 * 24 * 60 * 60 * 1000;
+let playbackCutoff = null; // Date; people connected after it are hidden, null = show everyone
+let playbackTimer = null; // d3.timer while playing
+let playbackRecorder = null; // { recorder, timer } while recording
+
+function playbackExtent() {
+    return d3.extent(globalNodes.filter(isPerson), n => n.connectedDate);
+}
 
-    const sortedYears = Array.from(years).sort((a, b) => b - a);
+// When a node joins the network: a company super-node with its first member
+function playbackDate(d) {
+    return d.isCompany ? d3.min(d.members, m => m.connectedDate) : d.connectedDate;
+}
+
+function isShownAtCutoff(d) {
+    return playbackCutoff === null || isAnchor(d) || playbackDate(d) <= playbackCutoff;
+}
 
-    sortedYears.forEach(year => {
-        const option = document.createElement('option');
-        option.value = year;
-        option.innerText = year;
-        filterSelect.appendChild(option);
+// Hides people connected after the cutoff and grows in the ones that just appeared
+function applyPlayback() {
+    if (!g) return;
+    g.selectAll('.node').each(function(d) {
+        const element = d3.select(this);
+        const hidden = element.style('display') === 'none';
+        if (!isShownAtCutoff(d)) {
+            element.style('display', 'none');
+        } else if (hidden) {
+            element.style('display', null)
+                .select('circle')
+                .attr('r', 0)
+                .transition()
+                .duration(400)
+                .attr('r', getNodeRadius(d));
+        }
     });
+    g.selectAll('.link')
+        .style('display', l => isShownAtCutoff(l.source) && isShownAtCutoff(l.target) ? null : 'none');
+    if (canvasRenderer) drawCanvas();
+    renderPlaybackStatus();
 }
 
-function applyYearFilter() {
-    const year = document.getElementById('year-filter').value;
-    const ME_ID = 'ME';
+function renderPlaybackStatus() {
+    const people = globalNodes.filter(isPerson);
+    const counter = document.getElementById('playback-counter');
+    const scrubber = document.getElementById('playback-scrubber');
+    const [start, end] = playbackExtent();
 
-    let filteredNodes = [];
-    if (year === 'all') {
-        filteredNodes = [...masterNodes];
+    if (playbackCutoff === null || !start) {
+        counter.textContent = `${people.length} connections · all dates`;
+        scrubber.value = PLAYBACK_STEPS;
     } else {
-        const targetYear = parseInt(year);
-        filteredNodes = masterNodes.filter(n =>
-            n.id === ME_ID || n.connectedDate.getFullYear() === targetYear
-        );
+        const shown = people.filter(isShownAtCutoff).length;
+        counter.textContent = `${shown} / ${people.length} connections · ${d3.timeFormat('%b %Y')(playbackCutoff)}`;
+        scrubber.value = Math.round(((playbackCutoff - start) / (end - start || 1)) * PLAYBACK_STEPS);
     }
+    document.getElementById('playback-btn').textContent = playbackTimer ? '⏸ Pause' : '▶ Play';
+    document.getElementById('record-playback-btn').textContent = playbackRecorder ? '⏹ Stop Recording' : '⏺ Record as WebM';
 
-    const filteredLinks = [];
-    filteredNodes.forEach(n => {
-        if (n.id !== ME_ID) {
-            filteredLinks.push({ source: ME_ID, target: n.id });
+    d3.select('#playback-histogram').selectAll('rect')
+        .style('fill', d => playbackCutoff === null || d.month <= playbackCutoff ? '#0077b5' : '#ccc');
+}
+
+// New connections per month; click a bar to jump to the end of that month
+function renderPlaybackHistogram() {
+    const container = d3.select('#playback-histogram');
+    container.selectAll('*').remove();
+    const [start, end] = playbackExtent();
+    if (!start) return;
+
+    const counts = d3.rollup(globalNodes.filter(isPerson), v => v.length, n => d3.timeMonth.floor(n.connectedDate).getTime());
+    const months = d3.timeMonth.range(d3.timeMonth.floor(start), d3.timeMonth.offset(end, 1))
+        .map(month => ({ month, count: counts.get(month.getTime()) || 0 }));
+
+    const width = 260;
+    const height = 50;
+    const x = d3.scaleBand().domain(months.map(d => d.month)).range([0, width]).paddingInner(0.1);
+    const y = d3.scaleLinear().domain([0, d3.max(months, d => d.count) || 1]).range([height, 0]);
+
+    container.append('svg')
+        .attr('width', width)
+        .attr('height', height)
+        .selectAll('rect')
+        .data(months)
+        .enter()
+        .append('rect')
+        .attr('x', d => x(d.month))
+        .attr('y', d => y(d.count))
+        .attr('width', x.bandwidth())
+        .attr('height', d => height - y(d.count))
+        .style('cursor', 'pointer')
+        .on('click', (event, d) => {
+            pausePlayback();
+            playbackCutoff = new Date(d3.timeMonth.offset(d.month, 1) - 1);
+            applyPlayback();
+        })
+        .append('title')
+        .text(d => `${d3.timeFormat('%b %Y')(d.month)}: ${d.count} new`);
+}
+
+function startPlayback() {
+    const [start, end] = playbackExtent();
+    if (!start) return;
+    // Restart from the first connection unless resuming mid-way
+    if (playbackCutoff === null || playbackCutoff >= end) playbackCutoff = new Date(start);
+
+    let last = 0;
+    playbackTimer = d3.timer(elapsed => {
+        const monthsPerSecond = Number(document.getElementById('playback-speed').value);
+        const next = playbackCutoff.getTime() + ((elapsed - last) / 1000) * monthsPerSecond * MONTH_MS;
+        last = elapsed;
+        playbackCutoff = new Date(Math.min(next, end.getTime()));
+        applyPlayback();
+        if (playbackCutoff >= end) {
+            pausePlayback();
+            if (playbackRecorder) stopRecording();
         }
     });
+    renderPlaybackStatus();
+}
+
+function pausePlayback() {
+    if (!playbackTimer) return;
+    playbackTimer.stop();
+    playbackTimer = null;
+    renderPlaybackStatus();
+}
+
+function togglePlayback() {
+    if (playbackTimer) pausePlayback();
+    else startPlayback();
+}
+
+function scrubPlayback(event) {
+    const [start, end] = playbackExtent();
+    if (!start) return;
+    pausePlayback();
+    const step = Number(event.target.value);
+    playbackCutoff = step >= PLAYBACK_STEPS ? null : new Date(+start + (step / PLAYBACK_STEPS) * (end - start));
+    applyPlayback();
+}
+
+// Draws the visible graph (current zoom, no axis or labels) and the counter onto the recording canvas
+function drawPlaybackFrame(canvas) {
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    drawNetwork(ctx, d3.zoomTransform(svg.node()), false);
+
+    ctx.fillStyle = '#fff';
+    ctx.font = 'bold 24px sans-serif';
+    ctx.fillText(document.getElementById('playback-counter').textContent, 20, 40);
+}
+
+// Records the playback from the first connection to the last as a WebM video
+function startRecording() {
+    const status = document.getElementById('recording-status');
+    status.textContent = '';
+    const canvas = document.createElement('canvas');
+    if (!g || typeof MediaRecorder === 'undefined' || !canvas.captureStream
+        || !MediaRecorder.isTypeSupported('video/webm')) {
+        status.textContent = 'Recording WebM video is not supported in this browser.';
+        return;
+    }
+    canvas.width = window.innerWidth;
+    canvas.height = window.innerHeight;
+
+    const chunks = [];
+    let recorder;
+    try {
+        recorder = new MediaRecorder(canvas.captureStream(30), { mimeType: 'video/webm' });
+    } catch (e) {
+        status.textContent = `Could not start recording: ${e.message}`;
+        return;
+    }
+    recorder.onerror = (event) => {
+        status.textContent = `Recording failed: ${event.error ? event.error.message : 'unknown error'}`;
+        stopRecording();
+    };
+    recorder.ondataavailable = (event) => chunks.push(event.data);
+    recorder.onstop = () => {
+        const url = URL.createObjectURL(new Blob(chunks, { type: 'video/webm' }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `network_growth_${new Date().toISOString().slice(0,10)}.webm`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    };
+
+    try {
+        recorder.start();
+    } catch (e) {
+        status.textContent = `Could not start recording: ${e.message}`;
+        return;
+    }
+    playbackRecorder = { recorder, timer: d3.timer(() => drawPlaybackFrame(canvas)) };
+    pausePlayback();
+    playbackCutoff = null;
+    startPlayback();
+}
+
+function stopRecording() {
+    if (!playbackRecorder) return;
+    const { recorder, timer } = playbackRecorder;
+    playbackRecorder = null;
+    timer.stop();
+    if (recorder.state !== 'inactive') recorder.stop();
+    renderPlaybackStatus();
+}
+
+function toggleRecording() {
+    if (playbackRecorder) stopRecording();
+    else startRecording();
+}
+
+function bindPlaybackControls() {
+    document.getElementById('playback-btn').addEventListener('click', togglePlayback);
+    document.getElementById('playback-scrubber').addEventListener('input', scrubPlayback);
+    document.getElementById('record-playback-btn').addEventListener('click', toggleRecording);
+}
+
+// --- FILTER LOGIC ---
+// Facets narrow masterNodes down to the one filtered set that the graph, the
+// filtered list and the AI context all use. Active facets combine with AND or OR.
+const COMPANY_FACET_LIMIT = 100; // companies listed at once; the search box finds the rest
+let facetState = newFacetState();
+
+function newFacetState() {
+    return {
+        combine: 'and',
+        companies: new Set(), // companyCanonical values
+        tags: new Set(), // my tags; a person needs any one of them
+        title: '', // lowercase, without accents
+        hasEmail: false,
+        matchesOnly: false, // limit to the AI search matches (set by searches and reopened results)
+        minScore: 0,
+        jobFunction: 'all',
+        seniority: 'all',
+        industry: 'all'
+    };
+}
+
+function inDateWindow(node) {
+    return !dateWindow || (node.connectedDate >= dateWindow[0] && node.connectedDate <= dateWindow[1]);
+}
+
+function titleContains(node) {
+    return stripAccents(node.role.toLowerCase()).includes(facetState.title);
+}
+
+function meetsMinScore(node) {
+    return activeMatches.has(node.id) && (Number(activeMatches.get(node.id).score) || 0) >= facetState.minScore;
+}
+
+function filterFacets() {
+    return [
+        { key: 'date', isActive: () => dateWindow !== null, test: inDateWindow },
+        { key: 'company', isActive: () => facetState.companies.size > 0, test: n => facetState.companies.has(n.companyCanonical) },
+        { key: 'tags', isActive: () => facetState.tags.size > 0, test: n => n.tags.some(tag => facetState.tags.has(tag)) },
+        { key: 'title', isActive: () => facetState.title !== '', test: titleContains },
+        { key: 'email', isActive: () => facetState.hasEmail, test: n => Boolean(n.email) },
+        ...TAXONOMY_FIELDS.map(field => ({
+            key: field,
+            isActive: () => facetState[field] !== 'all',
+            test: n => n[field] === facetState[field]
+        })),
+        // Matches of the current AI search (or reopened result) above the score threshold
+        { key: 'score', isActive: () => facetState.matchesOnly, test: meetsMinScore }
+    ];
+}
+
+// People in `nodes` passing the active facets, optionally ignoring one of them
+function filterPeople(nodes, except = null) {
+    const facets = filterFacets().filter(f => f.key !== except && f.isActive());
+    const people = nodes.filter(isPerson);
+    if (facets.length === 0) return people;
+    return facetState.combine === 'or'
+        ? people.filter(n => facets.some(f => f.test(n)))
+        : people.filter(n => facets.every(f => f.test(n)));
+}
+
+// What a facet's live counts are taken over: everyone the other facets let
+// through when combining with AND, everyone when combining with OR
+function facetCountBase(key) {
+    return facetState.combine === 'or' ? masterNodes.filter(isPerson) : filterPeople(masterNodes, key);
+}
+
+function applyFilters() {
+    showNodeSubset(filterPeople(masterNodes));
+    renderFacets();
+}
+
+function clearFilters() {
+    facetState = newFacetState();
+    dateWindow = null;
+    document.getElementById('filter-title').value = '';
+    document.getElementById('filter-company-search').value = '';
+    applyFilters();
+}
+
+// Syncs the filter panel with facetState and refreshes the live counts
+function renderFacets() {
+    const format = d3.timeFormat('%Y-%m-%d');
+    document.getElementById('filter-combine').value = facetState.combine;
+    document.getElementById('filter-date-from').value = dateWindow ? format(dateWindow[0]) : '';
+    document.getElementById('filter-date-to').value = dateWindow ? format(dateWindow[1]) : '';
+    document.getElementById('filter-has-email').checked = facetState.hasEmail;
+    document.getElementById('filter-min-score').value = facetState.minScore;
+
+    const total = masterNodes.filter(isPerson).length;
+    document.getElementById('filter-summary').textContent = `${globalNodes.filter(isPerson).length} of ${total} shown`;
+    document.getElementById('filter-date-count').textContent = `(${facetCountBase('date').filter(inDateWindow).length})`;
+    document.getElementById('filter-title-count').textContent = facetState.title
+        ? `(${facetCountBase('title').filter(titleContains).length})`
+        : '';
+    document.getElementById('filter-has-email-count').textContent = `(${facetCountBase('email').filter(n => n.email).length})`;
+
+    const scoreRow = document.getElementById('filter-score-row');
+    scoreRow.style.display = facetState.matchesOnly ? 'block' : 'none';
+    if (facetState.matchesOnly) {
+        const matched = facetCountBase('score').filter(meetsMinScore).length;
+        document.getElementById('filter-min-score-value').textContent = `${facetState.minScore} (${matched})`;
+    }
+
+    populateTaxonomyFilters();
+    renderTagFacet();
+    renderCompanyFacet();
+}
+
+// Tag checkboxes with live counts; tags no one has any more are dropped from the filter
+function renderTagFacet() {
+    const container = document.getElementById('filter-tag-list');
+    const counts = d3.rollup(facetCountBase('tags').flatMap(n => n.tags), v => v.length, tag => tag);
+    facetState.tags.forEach(tag => {
+        if (!tagPalette.has(tag)) facetState.tags.delete(tag);
+    });
+    container.innerHTML = tagPalette.size === 0
+        ? '<div style="color: #666;">No tags yet</div>'
+        : Array.from(tagPalette, ([tag, color]) => `
+            <label style="font-weight: normal; margin: 0;">
+                <input type="checkbox" data-tag="${escapeHtml(tag)}"${facetState.tags.has(tag) ? ' checked' : ''}>
+                <span style="color: ${color};">■</span> ${escapeHtml(tag)} <span style="color: #666;">(${counts.get(tag) || 0})</span>
+            </label>`).join('');
+}
 
-    globalNodes = filteredNodes;
-    globalLinks = filteredLinks;
+// Company checkboxes with live counts: selected ones first, then by count
+function renderCompanyFacet() {
+    const container = document.getElementById('filter-company-list');
+    const search = stripAccents(document.getElementById('filter-company-search').value.trim().toLowerCase());
+    const counts = d3.rollup(facetCountBase('company'), v => v.length, n => n.companyCanonical);
+    const companies = Array.from(new Set(masterNodes.filter(isPerson).map(n => n.companyCanonical)))
+        .filter(company => company && (!search || stripAccents(company.toLowerCase()).includes(search)))
+        .sort((a, b) => facetState.companies.has(b) - facetState.companies.has(a)
+            || (counts.get(b) || 0) - (counts.get(a) || 0)
+            || a.localeCompare(b))
+        .slice(0, COMPANY_FACET_LIMIT);
+
+    container.innerHTML = companies.length === 0
+        ? '<div style="color: #666;">No companies</div>'
+        : companies.map(company => `
+            <label style="font-weight: normal; margin: 0;">
+                <input type="checkbox" data-company="${escapeHtml(company)}"${facetState.companies.has(company) ? ' checked' : ''}>
+                ${escapeHtml(company)} <span style="color: #666;">(${counts.get(company) || 0})</span>
+            </label>`).join('');
+}
 
-    if (simulation) {
-        simulation.nodes(globalNodes);
-        simulation.force('link').links(globalLinks);
-        simulation.alpha(1).restart();
+// The date inputs and the brush on the time axis edit the same window
+function readDateInputs() {
+    const from = document.getElementById('filter-date-from').value;
+    const to = document.getElementById('filter-date-to').value;
+    if (!from && !to) {
+        dateWindow = null;
+    } else {
+        const [minDate, maxDate] = d3.extent(masterNodes.filter(isPerson), n => n.connectedDate);
+        dateWindow = [
+            from ? new Date(`${from}T00:00:00`) : minDate,
+            to ? new Date(`${to}T23:59:59`) : maxDate
+        ];
     }
+    applyFilters();
+}
+
+function bindFilterControls() {
+    document.getElementById('filter-combine').addEventListener('change', (event) => {
+        facetState.combine = event.target.value;
+        applyFilters();
+    });
+    document.getElementById('filter-date-from').addEventListener('change', readDateInputs);
+    document.getElementById('filter-date-to').addEventListener('change', readDateInputs);
+    document.getElementById('filter-title').addEventListener('change', (event) => {
+        facetState.title = stripAccents(event.target.value.trim().toLowerCase());
+        applyFilters();
+    });
+    document.getElementById('filter-has-email').addEventListener('change', (event) => {
+        facetState.hasEmail = event.target.checked;
+        applyFilters();
+    });
+    document.getElementById('filter-min-score').addEventListener('change', (event) => {
+        facetState.minScore = Number(event.target.value);
+        applyFilters();
+    });
+    TAXONOMY_FIELDS.forEach(field => {
+        document.getElementById(`${field}-filter`).addEventListener('change', (event) => {
+            facetState[field] = event.target.value;
+            applyFilters();
+        });
+    });
+    document.getElementById('filter-tag-list').addEventListener('change', (event) => {
+        const tag = event.target.dataset.tag;
+        if (event.target.checked) facetState.tags.add(tag);
+        else facetState.tags.delete(tag);
+        applyFilters();
+    });
+    document.getElementById('filter-company-search').addEventListener('input', renderCompanyFacet);
+    document.getElementById('filter-company-list').addEventListener('change', (event) => {
+        const company = event.target.dataset.company;
+        if (event.target.checked) facetState.companies.add(company);
+        else facetState.companies.delete(company);
+        applyFilters();
+    });
+    document.getElementById('clear-filters-btn').addEventListener('click', clearFilters);
+}
+
+// Links of the merged network whose both ends are in `nodes`, as fresh objects
+// (d3.forceLink replaces source/target ids with node references).
+function linksForNodes(nodes) {
+    const ids = new Set(nodes.map(n => n.id));
+    return masterLinks
+        .filter(l => ids.has(l.source) && ids.has(l.target))
+        .map(l => ({ source: l.source, target: l.target }));
+}
+
+// Shows the given people plus ME and the teammates, with the links between them.
+function showNodeSubset(nodes) {
+    const ids = new Set(nodes.map(n => n.id));
+    globalNodes = masterNodes.filter(n => isAnchor(n) || ids.has(n.id));
+    globalLinks = linksForNodes(globalNodes);
 
     updateLayout();
     updateFilteredNodesList();
@@ -479,7 +2035,7 @@ function updateFilteredNodesList() {
     if (!listContainer) return;
 
     // Get filtered nodes (excluding ME)
-    const filteredNodes = globalNodes.filter(n => n.id !== 'ME');
+    const filteredNodes = globalNodes.filter(isPerson);
 
     // Update header count
     const header = listContainer.parentElement.querySelector('h3');
@@ -503,8 +2059,8 @@ function updateFilteredNodesList() {
                  onmouseover="if (!this.classList.contains('selected')) this.style.background='#e0e0e0'"
                  onmouseout="if (!this.classList.contains('selected')) this.style.background='#f0f0f0'"
                  onclick="selectNodeFromList('${node.id}')">
-                <strong style="color: #0077b5; font-size: 13px;">${node.name}</strong><br>
-                <small style="color: #666; font-size: 11px;">${node.role} at ${node.company}</small>
+                <strong style="color: #0077b5; font-size: 13px;">${escapeHtml(node.name)}</strong><br>
+                <small style="color: #666; font-size: 11px;">${escapeHtml(node.role)} at ${escapeHtml(node.companyCanonical)}</small>
             </div>
         `;
     });
@@ -517,15 +2073,17 @@ window.selectNodeFromList = function(nodeId) {
     const node = globalNodes.find(n => n.id === nodeId);
     if (!node) return;
 
+    // Expand the company super-node hiding this person
+    if (collapsedCompanies && collapsedCompanies.has(companyGroupKey(node)) && !displayNodes.includes(node)) {
+        collapsedCompanies.delete(companyGroupKey(node));
+        updateLayout();
+    }
+
     selectedNode = node;
     updateSidebarForPerson(node);
 
     // Highlight selected node in visualization
-    if (g) {
-        g.selectAll('.node circle')
-            .style('stroke-width', d => d.id === nodeId ? 4 : 1.5)
-            .style('stroke', d => d.id === nodeId ? '#00ff88' : '#fff');
-    }
+    refreshNodeStyles();
 
     // Highlight selected item in list
     document.querySelectorAll('.filtered-node-item').forEach(item => {
@@ -541,17 +2099,598 @@ window.selectNodeFromList = function(nodeId) {
     });
 };
 
-// --- AI FUNCTIONS ---
-function updateSidebarForPerson(node) {
-    if (node.id === 'ME') return;
+// --- FIND PERSON ---
+// Find-as-you-type over the people shown, without any AI call: fuzzy matches on
+// name, company and role are outlined in the graph and the camera flies to the
+// current one. Up/Down cycle through the results, Enter selects.
+const FIND_MAX_RESULTS = 8; // results listed (and cycled through) at once
+const FIND_FIELD_WEIGHTS = { name: 3, companyCanonical: 1.5, role: 1 };
+const FIND_COLOR = '#ff00ff';
+const FIND_ZOOM = 2; // minimum zoom when flying to a match
+let findResults = []; // [{ node, score }] for the current query, best first
+let findIndex = 0; // the current result
+let findHighlights = new Set(); // ids of everyone matching, outlined in the graph
+
+// Fuzzy score of `query` in `text` (both lowercase, without accents); 0 unless the
+// query's letters appear in order. Substrings, consecutive letters and word starts
+// score higher, so "jsmi" ranks "John Smith" above "Jason Mills".
+function fuzzyScore(query, text) {
+    const at = text.indexOf(query);
+    if (at !== -1) return query.length * (at === 0 || text[at - 1] === ' ' ? 4 : 3);
+
+    let score = 0;
+    let run = 0;
+    let from = 0;
+    for (const char of query.replace(/\s+/g, '')) {
+        const i = text.indexOf(char, from);
+        if (i === -1) return 0;
+        run = score > 0 && i === from ? run + 1 : 0;
+        score += 1 + run + (i === 0 || text[i - 1] === ' ' ? 2 : 0);
+        from = i + 1;
+    }
+    return score;
+}
 
-    const panel = document.getElementById('gemini-analysis');
-    panel.innerHTML = `
-        <strong>${node.name}</strong><br>
-        ${node.role}<br>
-        ${node.company}<br>
-        <small>Connected: ${node.connectedDate.toLocaleDateString()}</small>
-    `;
+function findPeople(query) {
+    const q = stripAccents(query.trim().toLowerCase());
+    if (!q) return [];
+    // Letters scattered all over a field (1 point each) don't count as a match
+    const minScore = 1.5 * q.replace(/\s+/g, '').length;
+    return globalNodes.filter(isPerson)
+        .map(node => ({
+            node,
+            score: d3.max(Object.entries(FIND_FIELD_WEIGHTS), ([field, weight]) => {
+                const score = fuzzyScore(q, stripAccents(String(node[field] || '').toLowerCase()));
+                return score >= minScore ? weight * score : 0;
+            })
+        }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score || a.node.name.localeCompare(b.node.name));
+}
+
+function isFindMatch(d) {
+    if (findHighlights.size === 0) return false;
+    return d.isCompany ? d.members.some(m => findHighlights.has(m.id)) : findHighlights.has(d.id);
+}
+
+function isCurrentFind(d) {
+    const current = findResults[findIndex];
+    return current !== undefined && (current.node === d || (d.isCompany === true && d.members.includes(current.node)));
+}
+
+// Pans and zooms so the node (or the company super-node it is collapsed into) is centered
+function focusNode(node) {
+    const target = displayNodes.includes(node)
+        ? node
+        : displayNodes.find(d => d.isCompany && d.members.includes(node));
+    if (!target || !Number.isFinite(target.x) || !Number.isFinite(target.y)) return;
+    const k = Math.max(d3.zoomTransform(svg.node()).k, FIND_ZOOM);
+    const transform = d3.zoomIdentity
+        .translate(window.innerWidth / 2, window.innerHeight / 2)
+        .scale(k)
+        .translate(-(target.x + networkOffsetX), -target.y);
+    svg.transition().duration(600).call(zoom.transform, transform);
+}
+
+function renderFindResults() {
+    const list = document.getElementById('find-results');
+    const count = document.getElementById('find-count');
+    if (!document.getElementById('find-input').value.trim()) {
+        list.innerHTML = '';
+        count.textContent = '';
+        return;
+    }
+    count.textContent = `(${findResults.length} found)`;
+    list.innerHTML = findResults.length === 0
+        ? '<div style="color: #666;">No one matches</div>'
+        : findResults.slice(0, FIND_MAX_RESULTS).map(({ node }, i) => `
+            <div onclick="selectFindResult(${i})" style="padding: 4px 6px; border-radius: 4px; cursor: pointer; background: ${i === findIndex ? '#d0e8ff' : 'none'};">
+                <strong style="color: #0077b5;">${escapeHtml(node.name)}</strong><br>
+                <small style="color: #666;">${escapeHtml(node.role)} at ${escapeHtml(node.companyCanonical)}</small>
+            </div>`).join('');
+}
+
+function runFind() {
+    findResults = findPeople(document.getElementById('find-input').value);
+    findIndex = 0;
+    findHighlights = new Set(findResults.map(result => result.node.id));
+    renderFindResults();
+    refreshNodeStyles();
+    if (findResults.length > 0) focusNode(findResults[0].node);
+}
+
+function moveFindIndex(step) {
+    const count = Math.min(findResults.length, FIND_MAX_RESULTS);
+    if (count === 0) return;
+    findIndex = (findIndex + step + count) % count;
+    renderFindResults();
+    refreshNodeStyles();
+    focusNode(findResults[findIndex].node);
+}
+
+function clearFind() {
+    document.getElementById('find-input').value = '';
+    findResults = [];
+    findIndex = 0;
+    findHighlights = new Set();
+    renderFindResults();
+}
+
+window.selectFindResult = function(index) {
+    const result = findResults[index];
+    if (!result) return;
+    findIndex = index;
+    renderFindResults();
+    window.selectNodeFromList(result.node.id);
+    focusNode(result.node);
+};
+
+function bindFindControls() {
+    const input = document.getElementById('find-input');
+    input.addEventListener('input', runFind);
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            moveFindIndex(event.key === 'ArrowDown' ? 1 : -1);
+        } else if (event.key === 'Enter') {
+            window.selectFindResult(findIndex);
+        } else if (event.key === 'Escape') {
+            clearFind();
+            refreshNodeStyles();
+        }
+    });
+}
+
+// --- STREAMING JSON ---
+// The model streams a JSON document; these helpers pull out what is already
+// complete so the UI can render it before the response ends.
+
+// Value of a (possibly unterminated) string property, e.g. "explanation".
+function extractPartialJsonString(text, key) {
+    const match = new RegExp(`"${key}"\\s*:\\s*"`).exec(text);
+    if (!match) return null;
+
+    let raw = '';
+    for (let i = match.index + match[0].length; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '\\') {
+            if (i + 1 >= text.length) break; // Escape split across chunks
+            raw += ch + text[++i];
+            continue;
+        }
+        if (ch === '"') break;
+        raw += ch;
+    }
+    // Drop a half-received \uXXXX escape
+    raw = raw.replace(/\\u[0-9a-fA-F]{0,3}$/, '');
+    try {
+        return JSON.parse(`"${raw}"`);
+    } catch {
+        return raw;
+    }
+}
+
+// Objects of an array property that have been fully received so far.
+function extractCompleteJsonObjects(text, key) {
+    const match = new RegExp(`"${key}"\\s*:\\s*\\[`).exec(text);
+    if (!match) return [];
+
+    const objects = [];
+    let depth = 0;
+    let start = -1;
+    let inString = false;
+    for (let i = match.index + match[0].length; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (ch === '\\') i++;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+        if (ch === '"') inString = true;
+        else if (ch === '{') {
+            if (depth === 0) start = i;
+            depth++;
+        } else if (ch === '}') {
+            depth--;
+            if (depth === 0 && start !== -1) {
+                try {
+                    objects.push(JSON.parse(text.slice(start, i + 1)));
+                } catch {
+                    // Malformed object; the final parse will report it
+                }
+                start = -1;
+            }
+        } else if (ch === ']' && depth === 0) {
+            break;
+        }
+    }
+    return objects;
+}
+
+// --- AI RESPONSE SCHEMAS ---
+const MAX_REPAIR_ATTEMPTS = 2;
+
+const NETWORK_QUERY_SCHEMA = {
+    title: 'network_query',
+    type: 'object',
+    properties: {
+        explanation: { type: 'string' },
+        matches: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    score: { type: 'number', minimum: 0, maximum: 100 },
+                    reason: { type: 'string' },
+                    aspect: { type: 'string' }
+                },
+                required: ['id', 'score', 'reason']
+            }
+        }
+    },
+    required: ['explanation', 'matches']
+};
+
+const PERSON_ANALYSIS_SCHEMA = {
+    title: 'person_analysis',
+    type: 'object',
+    properties: {
+        analysis: { type: 'string' }
+    },
+    required: ['analysis']
+};
+
+const OUTREACH_DRAFT_SCHEMA = {
+    title: 'outreach_draft',
+    type: 'object',
+    properties: {
+        message: { type: 'string' }
+    },
+    required: ['message']
+};
+
+// Parses model output that should be JSON but may be wrapped in ``` fences or prose.
+function parseAIJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        const cleaned = text.replace(/```json|```/g, '').trim();
+        try {
+            return JSON.parse(cleaned);
+        } catch {
+            const start = cleaned.indexOf('{');
+            const end = cleaned.lastIndexOf('}');
+            if (start === -1 || end <= start) throw new Error('Response is not JSON');
+            return JSON.parse(cleaned.slice(start, end + 1));
+        }
+    }
+}
+
+// Minimal JSON schema check (type, required, properties, items, minimum/maximum).
+// Returns a list of human-readable problems; empty means valid.
+function checkSchema(value, schema, path = 'response') {
+    const errors = [];
+    const actualType = Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value);
+    if (schema.type && actualType !== schema.type) {
+        return [`${path} should be ${schema.type} but is ${actualType}`];
+    }
+    if (schema.type === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} is below ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} is above ${schema.maximum}`);
+    }
+    if (schema.type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push(`${path}.${key} is missing`);
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+            if (value[key] !== undefined) errors.push(...checkSchema(value[key], propSchema, `${path}.${key}`));
+        });
+    }
+    if (schema.type === 'array' && schema.items) {
+        value.forEach((item, i) => errors.push(...checkSchema(item, schema.items, `${path}[${i}]`)));
+    }
+    return errors;
+}
+
+// Validates a network-query response. Structural problems are `errors` (worth
+// a repair round-trip); individual bad matches are dropped and reported.
+function validateNetworkResult(text) {
+    let raw;
+    try {
+        raw = parseAIJson(text);
+    } catch (e) {
+        return { ok: false, errors: [e.message] };
+    }
+
+    const topLevel = checkSchema(raw, { ...NETWORK_QUERY_SCHEMA, properties: {
+        explanation: { type: 'string' },
+        matches: { type: 'array' }
+    } });
+    if (topLevel.length > 0) return { ok: false, errors: topLevel };
+
+    const knownIds = new Set(masterNodes.filter(isPerson).map(n => n.id));
+    const seen = new Set();
+    const matches = [];
+    const dropped = [];
+    raw.matches.forEach((match, i) => {
+        const problems = checkSchema(match, NETWORK_QUERY_SCHEMA.properties.matches.items, `matches[${i}]`);
+        if (problems.length === 0 && !knownIds.has(match.id)) problems.push(`unknown id "${match.id}"`);
+        if (problems.length === 0 && seen.has(match.id)) problems.push(`duplicate id "${match.id}"`);
+        if (problems.length > 0) {
+            dropped.push({ match, reason: problems.join(', ') });
+            return;
+        }
+        seen.add(match.id);
+        matches.push(match);
+    });
+
+    // Invented ids usually mean the model lost track of the list: ask it to fix them
+    const invented = dropped.filter(d => d.reason.startsWith('unknown id'));
+    if (invented.length > 0 && matches.length === 0) {
+        return { ok: false, errors: invented.map(d => d.reason) };
+    }
+
+    return { ok: true, value: { ...raw, matches }, dropped };
+}
+
+// Plain schema check for single-object responses
+function validateJsonObject(text, schema) {
+    let raw;
+    try {
+        raw = parseAIJson(text);
+    } catch (e) {
+        return { ok: false, errors: [e.message] };
+    }
+    const errors = checkSchema(raw, schema);
+    return errors.length > 0 ? { ok: false, errors } : { ok: true, value: raw, dropped: [] };
+}
+
+function validatePersonAnalysis(text) {
+    return validateJsonObject(text, PERSON_ANALYSIS_SCHEMA);
+}
+
+function validateOutreachDraft(text) {
+    const outcome = validateJsonObject(text, OUTREACH_DRAFT_SCHEMA);
+    if (outcome.ok && !outcome.value.message.trim()) return { ok: false, errors: ['message is empty'] };
+    return outcome;
+}
+
+function buildRepairPrompt(originalPrompt, badResponse, errors, schema) {
+    return `${originalPrompt}
+
+    Your previous answer could not be used:
+    ${errors.map(e => `- ${e}`).join('\n    ')}
+
+    Previous answer:
+    ${badResponse.slice(0, 4000)}
+
+    Return ONLY corrected JSON matching this JSON schema, using only IDs from the list above:
+    ${JSON.stringify(schema)}`;
+}
+
+// Generates, validates and, if needed, asks the model to repair its answer.
+// Options are passed to AIService (signal, onRetry, onChunk) plus stream: true
+// to stream the first attempt, onRepair(attempt, errors) for progress and
+// cache ({ snapshotHash, bypass }, see aiCacheOptions) to use the response cache.
+// Resolves with { value, dropped, repairs, cachedAt }; cachedAt is set on a cache hit.
+async function generateValidated(prompt, schema, validate, options = {}) {
+    const { stream, onRepair, onChunk, cache, ...callOptions } = options;
+    const cacheKey = cache ? aiService.cacheKey(prompt, cache.snapshotHash) : null;
+    if (cacheKey && !cache.bypass) {
+        const hit = await aiService.getCachedResponse(cacheKey);
+        const cached = hit && validate(hit.text);
+        if (cached && cached.ok) {
+            if (onChunk) onChunk(hit.text);
+            return { value: cached.value, dropped: cached.dropped, repairs: 0, cachedAt: hit.createdAt };
+        }
+    }
+
+    let text = stream
+        ? await aiService.streamContent(prompt, { ...callOptions, onChunk, schema })
+        : await aiService.generateContent(prompt, { ...callOptions, schema });
+    let outcome = validate(text);
+
+    let repairs = 0;
+    while (!outcome.ok && repairs < MAX_REPAIR_ATTEMPTS) {
+        repairs++;
+        if (onRepair) onRepair(repairs, outcome.errors);
+        text = await aiService.generateContent(buildRepairPrompt(prompt, text, outcome.errors, schema), { ...callOptions, schema });
+        outcome = validate(text);
+    }
+
+    if (!outcome.ok) {
+        throw new AIResponseError(`The AI response did not match the expected format: ${outcome.errors.slice(0, 3).join('; ')}`);
+    }
+    if (cacheKey) await aiService.cacheResponse(cacheKey, text).catch(e => console.warn('Could not cache AI response:', e));
+    return { value: outcome.value, dropped: outcome.dropped, repairs };
+}
+
+function aiCacheOptions() {
+    return { snapshotHash: networkHash, bypass: document.getElementById('bypass-cache').checked };
+}
+
+// Sidebar note listing what validation repaired or dropped, and cache hits
+function describeValidation({ dropped, repairs, cachedAt }) {
+    if (dropped.length === 0 && repairs === 0 && !cachedAt) return '';
+    let html = '<div style="margin-top: 8px; font-size: 12px; color: #b36b00;">';
+    if (cachedAt) html += `💾 Cached response from ${new Date(cachedAt).toLocaleString()} (tick "Bypass AI cache" to refresh).<br>`;
+    if (repairs > 0) html += `🔧 Response repaired after ${repairs} retry(ies).<br>`;
+    if (dropped.length > 0) {
+        html += `<details><summary>⚠️ ${dropped.length} invalid match(es) dropped</summary><ul style="margin: 4px 0; padding-left: 18px;">` +
+            dropped.map(d => `<li>${escapeHtml(d.match?.name || d.match?.id || '?')}: ${escapeHtml(d.reason)}</li>`).join('') +
+            '</ul></details>';
+    }
+    return html + '</div>';
+}
+
+// --- AI CONTEXT ---
+const MAX_CONTEXT_POSITIONS = 5;
+const MAX_CONTEXT_SKILLS = 25;
+
+function buildMyContext() {
+    const lines = [
+        'My Profile:',
+        `Headline: ${userProfile.headline || "Unknown"}`,
+        `Summary: ${userProfile.summary || "Unknown"}`,
+        `Industry: ${userProfile.industry || "Unknown"}`
+    ];
+
+    if (userProfile.positions && userProfile.positions.length > 0) {
+        lines.push('Work History:');
+        userProfile.positions.slice(0, MAX_CONTEXT_POSITIONS).forEach(p => {
+            const period = `${p.startedOn || '?'} - ${p.finishedOn || 'Present'}`;
+            lines.push(`- ${p.title} at ${p.company} (${period})`);
+        });
+    }
+    if (userProfile.skills && userProfile.skills.length > 0) {
+        lines.push(`Skills: ${userProfile.skills.slice(0, MAX_CONTEXT_SKILLS).join(', ')}`);
+    }
+    if (userProfile.education && userProfile.education.length > 0) {
+        lines.push(`Education: ${userProfile.education.map(e => [e.degree, e.school].filter(Boolean).join(', ')).join('; ')}`);
+    }
+    return lines.join('\n    ');
+}
+
+// Short summary of my history with a connection (messages, invitation, endorsements).
+function describeInteractions(node) {
+    const parts = [];
+    if (node.messageCount) {
+        const last = node.lastMessageDate ? `, last ${node.lastMessageDate.toISOString().slice(0, 7)}` : '';
+        parts.push(`${node.messageCount} messages${last}`);
+    }
+    if (node.invitation) parts.push(`invitation ${node.invitation.direction}`);
+    if (node.endorsedMe) parts.push(`endorsed me for ${node.endorsedMe.join(', ')}`);
+    if (node.endorsedByMe) parts.push(`I endorsed for ${node.endorsedByMe.join(', ')}`);
+    return parts.length > 0 ? ` [${parts.join('; ')}]` : '';
+}
+
+// --- TAGS & NOTES ---
+// My own tags and notes on each connection, kept in localStorage by profile URL
+// (personKey) so they survive re-imports. They show in the graph, feed the tag
+// filter and go into every AI prompt about the person.
+const MAX_TAG_LENGTH = 40;
+const MAX_NOTE_CHARS_IN_PROMPT = 300;
+const TAG_BADGE_SIZE = 6; // square on a tagged person's node, in the color of their first tag
+let annotatedPerson = null; // the person shown in the tags & notes editor
+let tagPalette = new Map(); // tag -> color, every tag in the network in name order
+
+function loadAnnotations() {
+    return JSON.parse(localStorage.getItem('person_annotations') || '{}');
+}
+
+function normalizeTag(tag) {
+    return tag.trim().toLowerCase().replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH);
+}
+
+function applyAnnotations(nodes) {
+    const annotations = loadAnnotations();
+    nodes.filter(isPerson).forEach(node => {
+        const annotation = annotations[personKey(node)] || {};
+        node.tags = annotation.tags || [];
+        node.note = annotation.note || '';
+    });
+    updateTagPalette();
+}
+
+function tagBadgeColor(d) {
+    return isPerson(d) && d.tags.length > 0 ? tagPalette.get(d.tags[0]) : null;
+}
+
+function updateTagPalette() {
+    const tags = Array.from(new Set(masterNodes.filter(isPerson).flatMap(n => n.tags || []))).sort();
+    tagPalette = new Map(tags.map((tag, i) => [tag, CATEGORY_COLORS[i % CATEGORY_COLORS.length]]));
+}
+
+function saveAnnotation(node, tags, note) {
+    const annotations = loadAnnotations();
+    const key = personKey(node);
+    if (tags.length === 0 && !note.trim()) delete annotations[key];
+    else annotations[key] = { tags, note };
+    localStorage.setItem('person_annotations', JSON.stringify(annotations));
+    masterNodes.filter(n => isPerson(n) && personKey(n) === key).forEach(n => {
+        n.tags = tags;
+        n.note = note;
+    });
+}
+
+// Tags changed: recolor the graph and refresh the tag filter
+function refreshTags() {
+    updateTagPalette();
+    renderColorLegend();
+    if (g) g.selectAll('.node title').text(nodeTooltip);
+    if (facetState.tags.size > 0) applyFilters();
+    else renderFacets();
+    refreshNodeStyles();
+}
+
+function describeAnnotations(node) {
+    const parts = [];
+    if (node.tags.length > 0) parts.push(`my tags: ${node.tags.join(', ')}`);
+    if (node.note.trim()) parts.push(`my note: "${node.note.trim().replace(/\s+/g, ' ').slice(0, MAX_NOTE_CHARS_IN_PROMPT)}"`);
+    return parts.length > 0 ? ` <${parts.join('; ')}>` : '';
+}
+
+function showAnnotationEditor(node) {
+    annotatedPerson = node;
+    document.getElementById('annotation-note').value = node.note;
+    document.getElementById('annotation-tag-input').value = '';
+    renderAnnotationTags();
+}
+
+function renderAnnotationTags() {
+    const node = annotatedPerson;
+    document.getElementById('annotation-tags').innerHTML = node.tags.map((tag, i) => `
+        <span style="display: inline-block; margin: 0 4px 4px 0; padding: 2px 6px; border-radius: 10px; background: ${tagPalette.get(tag)}; color: #000;">
+            ${escapeHtml(tag)} <a href="#" onclick="removeTag(${i}); return false;" style="color: #000; text-decoration: none;" title="Remove tag">×</a>
+        </span>`).join('');
+    // Suggest the tags already in use
+    document.getElementById('annotation-tag-options').innerHTML = Array.from(tagPalette.keys())
+        .filter(tag => !node.tags.includes(tag))
+        .map(tag => `<option value="${escapeHtml(tag)}">`).join('');
+}
+
+function addTag() {
+    const input = document.getElementById('annotation-tag-input');
+    const tag = normalizeTag(input.value);
+    input.value = '';
+    const node = annotatedPerson;
+    if (!tag || node.tags.includes(tag)) return;
+    saveAnnotation(node, [...node.tags, tag], node.note);
+    refreshTags();
+    renderAnnotationTags();
+}
+
+window.removeTag = function(index) {
+    const node = annotatedPerson;
+    saveAnnotation(node, node.tags.filter((_, i) => i !== index), node.note);
+    refreshTags();
+    renderAnnotationTags();
+};
+
+function bindAnnotationControls() {
+    document.getElementById('annotation-tag-input').addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') addTag();
+    });
+    document.getElementById('annotation-note').addEventListener('input', (event) => {
+        if (!annotatedPerson) return;
+        saveAnnotation(annotatedPerson, annotatedPerson.tags, event.target.value);
+    });
+}
+
+// --- AI FUNCTIONS ---
+function updateSidebarForPerson(node) {
+    if (isAnchor(node)) return;
+
+    const panel = document.getElementById('gemini-analysis');
+    panel.innerHTML = `
+        <strong>${escapeHtml(node.name)}</strong><br>
+        ${escapeHtml(node.role)}<br>
+        ${escapeHtml(node.companyCanonical)}${node.companyCanonical !== node.company ? ` <small style="color: #666;">(${escapeHtml(node.company)})</small>` : ''}<br>
+        <small>Connected: ${node.dateUnknown ? 'unknown date' : node.connectedDate.toLocaleDateString()}</small>
+        ${describeInteractions(node) ? `<br><small>History:${escapeHtml(describeInteractions(node))}</small>` : ''}
+    `;
 
     const actions = document.getElementById('person-actions');
     const linkBtn = document.getElementById('linkedin-link');
@@ -568,78 +2707,226 @@ function updateSidebarForPerson(node) {
     }
 
     analyzeBtn.onclick = () => fetchAIAnalysis(node);
+    document.getElementById('draft-btn').onclick = () => draftOutreach(node);
+    showTaxonomyEditor(node);
+    showAnnotationEditor(node);
+    showDraftsForPerson(node);
 }
 
 async function fetchAIAnalysis(node) {
   const panel = document.getElementById('gemini-analysis');
   panel.innerText = `Analyzing ${node.name}...`;
+  syncAIServiceFromUI();
 
-  const PROMPT = `Role: ${node.role}. Company: ${node.company}. 3 short conversation starters for a dev. JSON: {"analysis": "..."}`;
+  const PROMPT = `${buildMyContext()}
+    Person: ${node.name}. Role: ${node.role}. Company: ${node.companyCanonical}.${describeTaxonomy(node)}${describeInteractions(node)}${describeAnnotations(node)}
+    3 short conversation starters tailored to my background and our history. JSON: {"analysis": "..."}`;
 
+  const controller = startAIRequest();
   try {
-    const jsonStr = await aiService.generateContent(PROMPT);
-    let result;
-    try {
-        result = JSON.parse(jsonStr);
-    } catch {
-        const cleanJson = jsonStr.replace(/```json|```/g, '');
-        result = JSON.parse(cleanJson);
-    }
+    const outcome = await generateValidated(PROMPT, PERSON_ANALYSIS_SCHEMA, validatePersonAnalysis, {
+        stream: true,
+        signal: controller.signal,
+        cache: aiCacheOptions(),
+        onRetry: retryNotifier(panel),
+        onRepair: () => { panel.innerText = `Fixing the AI response for ${node.name}...`; },
+        onChunk: (textSoFar) => {
+            const analysis = extractPartialJsonString(textSoFar, 'analysis');
+            if (analysis) panel.innerHTML = formatAIText(analysis);
+        }
+    });
+    const result = outcome.value;
 
-    panel.innerHTML = result.analysis.replace(/\n/g, '<br>') || result.explanation || "No analysis.";
+    panel.innerHTML = (formatAIText(result.analysis) || "No analysis.") + describeValidation(outcome);
   } catch (error) {
-    console.error(error);
-    if (error.message.includes('429')) {
-        panel.innerHTML = "<strong>❄️ AI Cooling Down...</strong><br>Free tier rate limit hit. Please wait 30s.";
-    } else {
-        panel.innerText = "Error: " + error.message;
-    }
+    showAIError(panel, error);
+  } finally {
+    finishAIRequest(controller);
   }
 }
 
-async function askAINetworkQuery() {
-    const query = document.getElementById('ai-query').value;
-    if (!query) return;
+// --- OUTREACH DRAFTS ---
+// Drafts are kept per person (by profile URL) in localStorage, newest first.
+const MAX_DRAFTS_PER_PERSON = 10;
+const OUTREACH_GOALS = {
+    referral: 'Ask for a referral for a job opening at their company',
+    intro: 'Ask them to introduce me to someone',
+    catchup: 'Reconnect and catch up; no ask',
+    hiring: 'Pitch a role on my team and invite them to talk'
+};
+let draftPerson = null; // { key, node } of the person shown in the drafting panel
+let currentDraftId = null;
 
-    const loading = document.getElementById('loading-indicator');
-    const panel = document.getElementById('gemini-analysis');
+function loadDrafts() {
+    return JSON.parse(localStorage.getItem('outreach_drafts') || '{}');
+}
 
-    const provider = document.getElementById('ai-provider').value;
-    const userKey = document.getElementById('api-key-input').value;
+function saveDrafts(drafts) {
+    localStorage.setItem('outreach_drafts', JSON.stringify(drafts));
+}
 
-    if (userKey) aiService.setProvider(provider, userKey);
-    else aiService.setProvider(provider);
+function teammateNames(node) {
+    return (node.owners || [])
+        .map(ownerId => teamExports.find(t => t.ownerId === ownerId))
+        .filter(Boolean)
+        .map(t => t.name);
+}
 
-    loading.style.display = 'block';
+function buildOutreachPrompt(node, goal, tone, introTarget) {
+    // Someone only my teammates know: ask a teammate for the intro instead
+    const viaTeammate = goal === 'intro' && node.owners && !node.owners.includes('ME');
+    let recipient = `${node.name}, ${node.role} at ${node.companyCanonical}.${describeTaxonomy(node)}${describeInteractions(node)}${describeAnnotations(node)}`;
+    let task = OUTREACH_GOALS[goal];
+    if (viaTeammate) {
+        recipient = `${teammateNames(node)[0] || 'my teammate'}, my teammate.`;
+        task = `Ask them to introduce me to ${node.name} (${node.role} at ${node.companyCanonical}), who is in their network`;
+    } else if (goal === 'intro' && introTarget) {
+        task = `Ask them to introduce me to ${introTarget}`;
+    }
+
+    return `${buildMyContext()}
+    Write a LinkedIn message from me.
+    Recipient: ${recipient}
+    Goal: ${task}.
+    Tone: ${tone}.
+    Tailor it to my background and their role and company. Keep it under 120 words, no subject line.
+    Put facts you don't know in [brackets] instead of inventing them.
+    JSON: {"message": "..."}`;
+}
+
+function renderDraftHistory() {
+    const list = document.getElementById('draft-history');
+    const drafts = draftPerson ? (loadDrafts()[draftPerson.key] || []) : [];
+    list.innerHTML = drafts.map(d => `
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 3px; ${d.id === currentDraftId ? 'font-weight: bold;' : ''}">
+            <a href="#" onclick="openDraft('${d.id}'); return false;" style="color: #0077b5; text-decoration: none;">
+                ${escapeHtml(document.querySelector(`#draft-goal option[value="${d.goal}"]`)?.textContent || d.goal)} · ${escapeHtml(d.tone)} · ${new Date(d.createdAt).toLocaleDateString()}
+            </a>
+            <a href="#" onclick="deleteDraft('${d.id}'); return false;" style="color: #dc3545; text-decoration: none;">✕</a>
+        </div>
+    `).join('');
+}
+
+function showDraftsForPerson(node) {
+    draftPerson = { key: personKey(node), node };
+    const drafts = loadDrafts()[draftPerson.key] || [];
+    currentDraftId = drafts.length > 0 ? drafts[0].id : null;
+    document.getElementById('draft-text').value = drafts.length > 0 ? drafts[0].text : '';
+    document.getElementById('draft-status').innerText = '';
+    renderDraftHistory();
+}
+
+async function draftOutreach(node) {
+    const goal = document.getElementById('draft-goal').value;
+    const tone = document.getElementById('draft-tone').value;
+    const introTarget = document.getElementById('draft-intro-target').value.trim();
+    const textArea = document.getElementById('draft-text');
+    const status = document.getElementById('draft-status');
+    syncAIServiceFromUI();
+
+    // The user may open someone else while the draft streams: save it under this
+    // person and only touch the drafting panel while it still shows them.
+    const key = personKey(node);
+    const isShown = () => draftPerson !== null && draftPerson.key === key;
+    const notifyRetry = retryNotifier(status);
+
+    status.innerText = `Drafting a message to ${node.name}...`;
+    const controller = startAIRequest();
+    try {
+        const outcome = await generateValidated(buildOutreachPrompt(node, goal, tone, introTarget), OUTREACH_DRAFT_SCHEMA, validateOutreachDraft, {
+            stream: true,
+            signal: controller.signal,
+            onRetry: (...args) => { if (isShown()) notifyRetry(...args); },
+            onRepair: () => { if (isShown()) status.innerText = 'Fixing the AI response...'; },
+            onChunk: (textSoFar) => {
+                const message = extractPartialJsonString(textSoFar, 'message');
+                if (message && isShown()) textArea.value = message;
+            }
+        });
+
+        const draft = { id: Date.now().toString(), goal, tone, text: outcome.value.message.trim(), createdAt: new Date().toISOString() };
+        const drafts = loadDrafts();
+        drafts[key] = [draft, ...(drafts[key] || [])].slice(0, MAX_DRAFTS_PER_PERSON);
+        saveDrafts(drafts);
+
+        if (!isShown()) return;
+        currentDraftId = draft.id;
+        textArea.value = draft.text;
+        status.innerText = 'Draft ready. Edit it below, then copy.';
+        renderDraftHistory();
+    } catch (error) {
+        if (isShown()) showAIError(status, error);
+    } finally {
+        finishAIRequest(controller);
+    }
+}
 
-    // Get year filter value
-    const yearFilter = document.getElementById('year-filter').value;
+// Keeps manual edits in the open draft
+function saveDraftEdits() {
+    if (!draftPerson || !currentDraftId) return;
+    const drafts = loadDrafts();
+    const draft = (drafts[draftPerson.key] || []).find(d => d.id === currentDraftId);
+    if (!draft) return;
+    draft.text = document.getElementById('draft-text').value;
+    saveDrafts(drafts);
+}
 
-    // Build network context - respect year filter if set
-    let nodesForAI = globalNodes.filter(n => n.id !== 'ME');
-    if (yearFilter !== 'all') {
-        const targetYear = parseInt(yearFilter);
-        nodesForAI = nodesForAI.filter(n => n.connectedDate.getFullYear() === targetYear);
+async function copyDraft() {
+    const textArea = document.getElementById('draft-text');
+    const status = document.getElementById('draft-status');
+    if (!textArea.value) return;
+    try {
+        await navigator.clipboard.writeText(textArea.value);
+    } catch (e) {
+        // Clipboard API needs a secure context; fall back to the selection
+        textArea.select();
+        document.execCommand('copy');
     }
+    status.innerText = '📋 Copied to clipboard.';
+}
 
-    const simplifiedNetwork = nodesForAI
-        .map(n => `- ${n.name} (${n.role} at ${n.company}) [${n.connectedDate.toDateString()}] [ID: ${n.id}]`)
-        .join('\n');
+window.openDraft = function(draftId) {
+    const draft = (loadDrafts()[draftPerson.key] || []).find(d => d.id === draftId);
+    if (!draft) return;
+    currentDraftId = draft.id;
+    document.getElementById('draft-text').value = draft.text;
+    document.getElementById('draft-goal').value = draft.goal;
+    document.getElementById('draft-tone').value = draft.tone;
+    document.getElementById('draft-intro-target').style.display = draft.goal === 'intro' ? 'block' : 'none';
+    renderDraftHistory();
+};
 
-    const myContext = `
-    My Profile:
-    Headline: ${userProfile.headline || "Unknown"}
-    Summary: ${userProfile.summary || "Unknown"}
-    Industry: ${userProfile.industry || "Unknown"}
-    `;
+window.deleteDraft = function(draftId) {
+    const drafts = loadDrafts();
+    drafts[draftPerson.key] = (drafts[draftPerson.key] || []).filter(d => d.id !== draftId);
+    if (drafts[draftPerson.key].length === 0) delete drafts[draftPerson.key];
+    saveDrafts(drafts);
+    if (currentDraftId === draftId) showDraftsForPerson(draftPerson.node);
+    else renderDraftHistory();
+};
 
-    const PROMPT = `
-    You are an AI Network Navigator.
+function bindDraftControls() {
+    const goal = document.getElementById('draft-goal');
+    goal.addEventListener('change', () => {
+        document.getElementById('draft-intro-target').style.display = goal.value === 'intro' ? 'block' : 'none';
+    });
+    document.getElementById('draft-text').addEventListener('input', saveDraftEdits);
+    document.getElementById('copy-draft-btn').addEventListener('click', copyDraft);
+}
 
-    ${myContext}
+function describeNodeForAI(n) {
+    return `- ${n.name} (${n.role} at ${n.companyCanonical})${describeTaxonomy(n)} [${n.connectedDate.toDateString()}]${describeInteractions(n)}${describeAnnotations(n)} [ID: ${n.id}]`;
+}
+
+// `note` tells the model what part of the network it is looking at (map-reduce).
+function buildNetworkQueryPrompt(query, networkText, note = '') {
+    return `
+    You are an AI Network Navigator.
 
-    Network:
-    ${simplifiedNetwork}
+    ${buildMyContext()}
+    ${note}
+    Network (<my tags; my note> are my own annotations on a person, treat them as facts):
+    ${networkText}
 
     Query: "${query}"
 
@@ -648,7 +2935,7 @@ async function askAINetworkQuery() {
     2. Identify people matching the query and how they complement ME.
     3. Score their relevance (0-100).
     4. Provide specific reasoning based on:
-       - Complementary Skills (e.g. Dev + Designer)
+       - Complementary Skills (e.g. Dev + Designer), using my work history and skills
        - Cultural/Team Fit (Similar roles/companies)
        - Strategic Position (Good match for company)
 
@@ -668,433 +2955,1905 @@ async function askAINetworkQuery() {
         ]
     }
     `;
+}
+
+// --- MAP-REDUCE QUERY ---
+// Networks that do not fit one prompt are scored in token-budgeted batches
+// (map), then the best candidates are re-ranked together (reduce).
+const DEFAULT_BATCH_TOKENS = 8000;
+const BATCH_MAX_MATCHES = 15;
+const REDUCE_MAX_CANDIDATES = 40;
+
+// Rough estimate; ~4 characters per token for English text
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+function splitIntoBatches(lines, tokenBudget) {
+    const batches = [];
+    let current = [];
+    let tokens = 0;
+    lines.forEach(line => {
+        const lineTokens = estimateTokens(line) + 1;
+        if (current.length > 0 && tokens + lineTokens > tokenBudget) {
+            batches.push(current);
+            current = [];
+            tokens = 0;
+        }
+        current.push(line);
+        tokens += lineTokens;
+    });
+    if (current.length > 0) batches.push(current);
+    return batches;
+}
+
+function renderBatchProgress(panel, done, total, candidates) {
+    const percent = Math.round((done / total) * 100);
+    panel.innerHTML = `
+        <strong>Large network: scoring in ${total} batches...</strong>
+        <div style="background: #ddd; border-radius: 4px; height: 8px; margin: 8px 0;">
+            <div style="background: #0077b5; width: ${percent}%; height: 100%; border-radius: 4px; transition: width 0.3s;"></div>
+        </div>
+        <small>${done}/${total} batches done · ${candidates} candidate(s) so far</small>
+    `;
+}
+
+// Runs a network query over `nodes`, in one streamed prompt when it fits the
+// provider's batch budget, map-reduce otherwise. `conversation` is the note of
+// an ongoing chat thread (see buildConversationNote). Resolves like generateValidated.
+async function runNetworkQuery(query, nodes, { signal, loading, panel, onPartialMatches, conversation = '' }) {
+    const lines = nodes.map(describeNodeForAI);
+    const config = aiService.getProviderConfig();
+    const overhead = estimateTokens(buildNetworkQueryPrompt(query, '', conversation));
+    const budget = Math.max(500, (Number(config.batchTokens) || DEFAULT_BATCH_TOKENS) - overhead);
+    const batches = splitIntoBatches(lines, budget);
+    const onRetry = retryNotifier(loading);
+    const onRepair = (attempt) => { loading.innerText = `Repairing AI response (${attempt}/${MAX_REPAIR_ATTEMPTS})...`; };
+    const cache = aiCacheOptions();
+
+    if (batches.length <= 1) {
+        // Show the explanation as it streams in and light up matches as each one completes
+        return generateValidated(buildNetworkQueryPrompt(query, lines.join('\n'), conversation), NETWORK_QUERY_SCHEMA, validateNetworkResult, {
+            stream: true,
+            signal,
+            cache,
+            onRetry,
+            onRepair,
+            onChunk: (textSoFar) => {
+                const explanation = extractPartialJsonString(textSoFar, 'explanation') || '';
+                const matches = extractCompleteJsonObjects(textSoFar, 'matches').filter(m => m && m.id);
+                panel.innerHTML = `<strong>AI Results (streaming...):</strong><br>${formatAIText(explanation)}<br><small>${matches.length} match(es) so far</small>`;
+                onPartialMatches(matches);
+            }
+        });
+    }
+
+    // Map: score every batch in parallel (AIService queues them per provider)
+    const candidates = new Map();
+    const dropped = [];
+    let done = 0;
+    let repairs = 0;
+    renderBatchProgress(panel, 0, batches.length, 0);
+
+    const results = await Promise.allSettled(batches.map((batch, i) => {
+        const note = `${conversation}\n    This is part ${i + 1} of ${batches.length} of my network (${nodes.length} connections in total).
+    Return at most ${BATCH_MAX_MATCHES} of the best matches from THIS part only and keep the explanation to one sentence.\n`;
+        return generateValidated(buildNetworkQueryPrompt(query, batch.join('\n'), note), NETWORK_QUERY_SCHEMA, validateNetworkResult, {
+            signal, cache, onRetry, onRepair
+        }).then(outcome => {
+            outcome.value.matches.forEach(m => {
+                if (!candidates.has(m.id) || candidates.get(m.id).score < m.score) candidates.set(m.id, m);
+            });
+            dropped.push(...outcome.dropped);
+            repairs += outcome.repairs;
+            done++;
+            loading.innerText = `Batch ${done}/${batches.length}...`;
+            renderBatchProgress(panel, done, batches.length, candidates.size);
+            onPartialMatches(Array.from(candidates.values()));
+        });
+    }));
+
+    const failures = results.filter(r => r.status === 'rejected').map(r => r.reason);
+    if (signal && signal.aborted) throw new AIAbortError();
+    if (failures.length === batches.length) throw failures[0];
+
+    // Reduce: re-rank the best candidates of all batches in one final pass
+    const nodeById = new Map(nodes.map(n => [n.id, n]));
+    const shortlist = Array.from(candidates.values())
+        .sort((a, b) => b.score - a.score)
+        .slice(0, REDUCE_MAX_CANDIDATES);
+    const shortlistText = shortlist
+        .map(m => `${describeNodeForAI(nodeById.get(m.id))} (batch score ${m.score}: ${m.reason})`)
+        .join('\n');
+    const note = `${conversation}\n    These candidates were pre-selected from my whole network (${nodes.length} connections) in ${batches.length} batches.
+    Re-rank them against each other, summarize the overall picture in the explanation and only return IDs from this list.\n`;
+
+    loading.innerText = 'Merging batch results...';
+    const final = await generateValidated(buildNetworkQueryPrompt(query, shortlistText, note), NETWORK_QUERY_SCHEMA, validateNetworkResult, {
+        signal, cache, onRetry, onRepair
+    });
+
+    if (failures.length > 0) {
+        final.value.explanation += ` (Note: ${failures.length} of ${batches.length} batches failed and were skipped.)`;
+    }
+    return { value: final.value, dropped: [...dropped, ...final.dropped], repairs: repairs + final.repairs, cachedAt: final.cachedAt };
+}
+
+// --- SEMANTIC SEARCH ---
+// One embedding per connection, cached in IndexedDB per provider/model and
+// re-computed only when the embedded text changes. Vectors are stored
+// normalized, so cosine similarity is a dot product.
+const EMBEDDING_STORE = 'embeddings';
+const EMBEDDING_BATCH_SIZE = 100;
+const SEMANTIC_TOP_K = 25;
+
+function embeddingText(node) {
+    const labels = [node.jobFunction, node.industry].filter(label => label && label !== 'unknown');
+    return [node.name, node.role, node.companyCanonical, ...labels, ...node.tags, node.note].filter(Boolean).join(' | ');
+}
+
+function normalizeVector(values) {
+    const vector = Float32Array.from(values);
+    const norm = Math.hypot(...vector) || 1;
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+    return vector;
+}
+
+function dotProduct(a, b) {
+    let sum = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) sum += a[i] * b[i];
+    return sum;
+}
+
+// Returns nodeId -> vector, embedding only people that are new or changed
+async function loadEmbeddings(nodes, { signal, onProgress } = {}) {
+    const config = aiService.getProviderConfig();
+    const prefix = `${config.id}:${config.embeddingModel}|`;
+    const stored = await dbGetAll(EMBEDDING_STORE, IDBKeyRange.bound(prefix, prefix + '\uffff'));
+    const storedById = new Map(stored.map(record => [record.id, record]));
+
+    const vectors = new Map();
+    const missing = [];
+    nodes.forEach(node => {
+        const text = embeddingText(node);
+        const id = prefix + personKey(node);
+        const hash = hashString(text);
+        const record = storedById.get(id);
+        if (record && record.hash === hash) vectors.set(node.id, record.vector);
+        else missing.push({ node, id, hash, text });
+    });
+
+    for (let i = 0; i < missing.length; i += EMBEDDING_BATCH_SIZE) {
+        const batch = missing.slice(i, i + EMBEDDING_BATCH_SIZE);
+        const values = await aiService.embedContent(batch.map(m => m.text), { signal, taskType: 'RETRIEVAL_DOCUMENT' });
+        await Promise.all(batch.map((m, j) => {
+            const vector = normalizeVector(values[j]);
+            vectors.set(m.node.id, vector);
+            return dbPut(EMBEDDING_STORE, { id: m.id, hash: m.hash, vector });
+        }));
+        if (onProgress) onProgress(Math.min(i + EMBEDDING_BATCH_SIZE, missing.length), missing.length);
+    }
+    return vectors;
+}
+
+// Top-k people by cosine similarity to the query: [{ node, similarity }]
+async function semanticSearch(query, nodes, { signal, onProgress, topK = SEMANTIC_TOP_K } = {}) {
+    const vectors = await loadEmbeddings(nodes, { signal, onProgress });
+    const [queryValues] = await aiService.embedContent([query], { signal, taskType: 'RETRIEVAL_QUERY' });
+    const queryVector = normalizeVector(queryValues);
+    return nodes
+        .filter(node => vectors.has(node.id))
+        .map(node => ({ node, similarity: dotProduct(queryVector, vectors.get(node.id)) }))
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, topK);
+}
+
+// Semantic lookup, optionally re-ranked by the chat model. Resolves like runNetworkQuery.
+async function runSemanticQuery(query, nodes, { rerank, signal, loading, panel, onPartialMatches }) {
+    const ranked = await semanticSearch(query, nodes, {
+        signal,
+        onProgress: (done, total) => { loading.innerText = `Embedding connections ${done}/${total}...`; }
+    });
+
+    if (rerank && ranked.length > 0) {
+        loading.innerText = 'Re-ranking...';
+        return runNetworkQuery(query, ranked.map(r => r.node), { signal, loading, panel, onPartialMatches });
+    }
+
+    const matches = ranked.map(({ node, similarity }) => ({
+        id: node.id,
+        name: node.name,
+        score: Math.max(0, Math.round(similarity * 100)),
+        reason: `Semantically similar to the query: ${node.role} at ${node.companyCanonical}`,
+        aspect: 'Semantic'
+    }));
+    const explanation = `Top ${matches.length} of ${nodes.length} connections by embedding similarity.`;
+    return { value: { explanation, matches }, dropped: [], repairs: 0 };
+}
+
+// --- KEYWORD SEARCH ---
+// Fully local search used when no AI key is configured: synonym expansion,
+// fuzzy matching and TF-IDF weighting over role, company and name.
+const KEYWORD_MAX_RESULTS = 50;
+const KEYWORD_FIELD_WEIGHTS = { role: 2, tags: 2, company: 1.5, name: 1 };
+const SEARCH_SYNONYM_GROUPS = [
+    ['engineer', 'eng', 'engineering', 'developer', 'dev', 'programmer', 'swe', 'software', 'coder'],
+    ['designer', 'design', 'ux', 'ui', 'artist', 'art', 'creative'],
+    ['manager', 'mgr', 'lead', 'head', 'director', 'vp', 'chief'],
+    ['founder', 'cofounder', 'co-founder', 'ceo', 'owner', 'entrepreneur'],
+    ['investor', 'investors', 'vc', 'venture', 'angel', 'capital'],
+    ['product', 'pm', 'po'],
+    ['recruiter', 'recruiting', 'talent', 'hr', 'sourcer'],
+    ['marketing', 'marketer', 'growth', 'brand'],
+    ['sales', 'account', 'bd', 'partnerships'],
+    ['data', 'analytics', 'analyst', 'scientist', 'ml', 'ai'],
+    ['gaming', 'game', 'games', 'gamedev'],
+    ['student', 'intern', 'graduate']
+];
+const SEARCH_STOP_WORDS = new Set([
+    'a', 'an', 'and', 'or', 'the', 'of', 'in', 'at', 'on', 'for', 'to', 'with', 'who', 'whom', 'what',
+    'works', 'work', 'working', 'find', 'me', 'my', 'show', 'list', 'people', 'person', 'someone',
+    'anyone', 'connections', 'potential', 'are', 'is', 'that', 'i', 'know'
+]);
+
+function searchTokens(text) {
+    return stripAccents(String(text || '').toLowerCase()).split(/[^a-z0-9+#]+/).filter(Boolean);
+}
+
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+            previous = current;
+        }
+    }
+    return row[b.length];
+}
+
+// term -> weight: the term itself, then its synonyms at a lower weight
+function expandSearchTerm(term) {
+    const expansions = new Map([[term, 1]]);
+    const singular = term.length > 3 && term.endsWith('s') ? term.slice(0, -1) : term;
+    expansions.set(singular, 1);
+    SEARCH_SYNONYM_GROUPS
+        .filter(group => group.includes(term) || group.includes(singular))
+        .forEach(group => group.forEach(synonym => {
+            if (!expansions.has(synonym)) expansions.set(synonym, 0.8);
+        }));
+    return expansions;
+}
+
+// How well a document token matches a query term: exact 1, prefix 0.9, typo 0.6
+function termMatchWeight(term, token) {
+    if (term === token) return 1;
+    if (term.length >= 3 && token.startsWith(term)) return 0.9;
+    const maxTypos = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    if (maxTypos > 0 && Math.abs(term.length - token.length) <= maxTypos && editDistance(term, token) <= maxTypos) return 0.6;
+    return 0;
+}
+
+function keywordSearch(query, nodes) {
+    const terms = [...new Set(searchTokens(query).filter(t => !SEARCH_STOP_WORDS.has(t)))];
+    const documents = nodes.map(node => ({
+        node,
+        fields: Object.keys(KEYWORD_FIELD_WEIGHTS).map(field => {
+            // Match the raw company too, so "Alphabet" still finds people now shown as Google,
+            // and my notes along with my tags
+            const text = field === 'company' ? `${node.companyCanonical} ${node.company}`
+                : field === 'tags' ? `${node.tags.join(' ')} ${node.note}`
+                : node[field];
+            return { field, tokens: [...new Set(searchTokens(text))] };
+        })
+    }));
+
+    // Inverse document frequency of each token across the searched people
+    const documentFrequency = new Map();
+    documents.forEach(doc => {
+        new Set(doc.fields.flatMap(f => f.tokens)).forEach(token => {
+            documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+        });
+    });
+    const idf = (token) => Math.log(1 + nodes.length / (1 + (documentFrequency.get(token) || 0)));
+
+    const scored = documents.map(doc => {
+        let score = 0;
+        const reasons = [];
+        terms.forEach(term => {
+            let best = null;
+            expandSearchTerm(term).forEach((synonymWeight, expansion) => {
+                doc.fields.forEach(({ field, tokens }) => {
+                    tokens.forEach(token => {
+                        const value = termMatchWeight(expansion, token) * synonymWeight * KEYWORD_FIELD_WEIGHTS[field] * idf(token);
+                        if (value > 0 && (!best || value > best.value)) best = { value, field, token };
+                    });
+                });
+            });
+            if (best) {
+                score += best.value;
+                reasons.push(best.token === term ? `"${term}" in ${best.field}` : `"${term}" ≈ ${best.token} in ${best.field}`);
+            }
+        });
+        return { node: doc.node, score, coverage: terms.length ? reasons.length / terms.length : 0, reasons };
+    }).filter(r => r.score > 0);
+
+    const topScore = Math.max(...scored.map(r => r.score), 0);
+    const matches = scored
+        .sort((a, b) => b.score - a.score)
+        .slice(0, KEYWORD_MAX_RESULTS)
+        .map(r => ({
+            id: r.node.id,
+            name: r.node.name,
+            score: Math.round(100 * (r.score / topScore) * r.coverage),
+            reason: `Keyword match: ${r.reasons.join(', ')}`,
+            aspect: 'Keyword'
+        }));
+
+    const explanation = terms.length === 0
+        ? 'No searchable keywords in the query. Try a role, company or name, e.g. "designers at Google".'
+        : `Local keyword search for ${terms.map(t => `"${t}"`).join(', ')}: ${matches.length} of ${nodes.length} connections matched.`;
+    return { explanation, matches };
+}
+
+// --- CONVERSATION ---
+// Every search starts a thread; follow-ups see the earlier turns and the
+// current matches, so they can refine, expand or explain them.
+const CHAT_MAX_TURNS_IN_PROMPT = 6;
+
+function buildConversationNote(thread) {
+    const turns = thread.turns.slice(-CHAT_MAX_TURNS_IN_PROMPT)
+        .map(t => `User: ${t.query}\n    Assistant: ${t.result.explanation}`);
+    const names = new Map(masterNodes.map(n => [n.id, n.name]));
+    const current = thread.turns[thread.turns.length - 1].result.matches
+        .map(m => `- ${names.get(m.id) || m.name} [ID: ${m.id}] score ${m.score}: ${m.reason}`);
+    return `
+    This is a follow-up in an ongoing conversation about my network:
+    ${turns.join('\n    ')}
+
+    Current matches (the result of the last answer):
+    ${current.join('\n    ') || '(none)'}
+
+    Treat the query below as a follow-up: refine, expand or explain the current matches as asked.
+    If it only asks for an explanation, answer in the explanation and return the current matches unchanged.
+    `;
+}
+
+// Inserts or updates the thread in the saved-results history; the latest turn
+// is the entry's result, so view/download work as for single searches.
+function saveThreadToHistory(thread) {
+    const history = JSON.parse(localStorage.getItem('ai_analysis_history') || '[]');
+    const latest = thread.turns[thread.turns.length - 1];
+    const entry = {
+        id: thread.id,
+        query: thread.turns[0].query,
+        timestamp: latest.timestamp,
+        result: latest.result,
+        turns: thread.turns
+    };
+    const index = history.findIndex(item => item.id === thread.id);
+    if (index === -1) history.push(entry);
+    else history[index] = entry;
+    localStorage.setItem('ai_analysis_history', JSON.stringify(history));
+}
+
+function renderChatThread() {
+    const chatPanel = document.getElementById('chat-panel');
+    if (!activeThread) {
+        chatPanel.style.display = 'none';
+        return;
+    }
+    chatPanel.style.display = 'block';
+    const thread = document.getElementById('chat-thread');
+    thread.innerHTML = activeThread.turns.map(turn => `
+        <div style="margin: 6px 0 2px auto; max-width: 85%; background: #0077b5; color: white; padding: 6px 10px; border-radius: 10px 10px 0 10px; width: fit-content;">${escapeHtml(turn.query)}</div>
+        <div style="margin: 2px 0 6px 0; max-width: 85%; background: #f0f0f0; padding: 6px 10px; border-radius: 10px 10px 10px 0;">
+            ${formatAIText(turn.result.explanation)}
+            <br><small style="color: #666;">${turn.result.matches.length} match(es)</small>
+        </div>
+    `).join('');
+    thread.scrollTop = thread.scrollHeight;
+}
+
+function startNewConversation() {
+    activeThread = null;
+    renderChatThread();
+    document.getElementById('ai-query').focus();
+}
+
+async function askAINetworkQuery() {
+    const query = document.getElementById('ai-query').value;
+    if (!query) return;
+    await runAssistantTurn(query, { newThread: true });
+}
+
+async function sendChatFollowUp() {
+    const input = document.getElementById('chat-input');
+    const query = input.value.trim();
+    if (!query || !activeThread) return;
+    input.value = '';
+    await runAssistantTurn(query);
+}
+
+// Answers a new search, or a follow-up when a thread is active, and records the turn.
+// A new search only replaces the open thread once it succeeds, so a failed one
+// leaves the previous conversation open for follow-ups.
+async function runAssistantTurn(query, { newThread = false } = {}) {
+    const loading = document.getElementById('loading-indicator');
+    const panel = document.getElementById('gemini-analysis');
+    const followUp = !newThread && Boolean(activeThread);
+
+    syncAIServiceFromUI();
+
+    loading.style.display = 'block';
+
+    // Build network context from the filtered set. The previous search's matches
+    // are left out of it: new searches and follow-ups (which may expand beyond
+    // the current matches) look at everyone the other filters let through.
+    const nodesForAI = filterPeople(masterNodes, 'score');
+    const previousMatches = new Map(activeMatches);
+    const previousMatchesOnly = facetState.matchesOnly;
+
+    activeMatches = new Map();
+    const onPartialMatches = (matches) => {
+        if (matches.length === activeMatches.size) return;
+        activeMatches = new Map(matches.map(m => [m.id, m]));
+        refreshNodeStyles();
+    };
+
+    // Without a usable key every AI mode would fail; search locally instead
+    const config = aiService.getProviderConfig();
+    const hasKey = !config.requiresKey || Boolean(aiService.apiKey);
+    const searchMode = hasKey ? document.getElementById('search-mode').value : 'keyword';
+
+    const controller = startAIRequest();
+    try {
+        const queryOptions = { signal: controller.signal, loading, panel, onPartialMatches };
+        let outcome;
+        if (searchMode === 'keyword') {
+            // Offline follow-ups can only narrow down the current matches
+            const pool = followUp ? nodesForAI.filter(n => previousMatches.has(n.id)) : nodesForAI;
+            outcome = { value: keywordSearch(query, pool), dropped: [], repairs: 0 };
+            if (!hasKey) outcome.value.explanation = `No ${config.label} API key configured. ${outcome.value.explanation}`;
+        } else if (searchMode === 'llm' || followUp) {
+            const conversation = followUp ? buildConversationNote(activeThread) : '';
+            outcome = await runNetworkQuery(query, nodesForAI, { ...queryOptions, conversation });
+        } else {
+            outcome = await runSemanticQuery(query, nodesForAI, { ...queryOptions, rerank: searchMode === 'semantic-rerank' });
+        }
+        const result = outcome.value;
+
+        lastAIResult = result;
+        localStorage.setItem('ai_analysis', JSON.stringify(result));
+
+        // Save the thread to history
+        if (!followUp) activeThread = { id: Date.now().toString(), turns: [] };
+        activeThread.turns.push({ query, timestamp: new Date().toISOString(), result });
+        saveThreadToHistory(activeThread);
+        renderChatThread();
+
+        document.getElementById('view-results-btn').style.display = 'block';
+        showAIResultsPanel();
+
+        // Filter nodes and connections to only show matches, highlighted
+        activeMatches = new Map(result.matches.map(m => [m.id, m]));
+        facetState.matchesOnly = true;
+        applyFilters();
+
+        panel.innerHTML = `<strong>AI Results:</strong><br>${formatAIText(result.explanation)}` + describeValidation(outcome);
+
+    } catch (e) {
+        showAIError(panel, e);
+        // Keep showing the previous search's matches (or everyone, if there was none)
+        activeMatches = previousMatches;
+        facetState.matchesOnly = previousMatchesOnly;
+        applyFilters();
+    } finally {
+        finishAIRequest(controller);
+        loading.style.display = 'none';
+        loading.innerText = 'Thinking...';
+    }
+}
+
+function downloadAIResults() {
+    if (!lastAIResult) return;
+    const dataStr = JSON.stringify(lastAIResult, null, 2);
+    const blob = new Blob([dataStr], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `ai_network_analysis_${new Date().toISOString().slice(0,10)}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+function clearAIResults() {
+    localStorage.removeItem('ai_analysis');
+    lastAIResult = null;
+
+    document.getElementById('download-results-btn').style.display = 'none';
+    document.getElementById('clear-results-btn').style.display = 'none';
+    document.getElementById('view-results-btn').style.display = 'none';
+    document.getElementById('gemini-analysis').innerHTML = `
+      <strong>Hackathon Mode:</strong><br>
+      Ask AI to find people, analyze clusters, or suggest career paths.<br><br>
+      Try: <em>"Who works in gaming?"</em> or <em>"Find me investors."</em>
+    `;
+
+    // Restore all nodes and connections with default styling
+    activeMatches = new Map();
+    activeThread = null;
+    renderChatThread();
+    facetState.matchesOnly = false;
+    applyFilters();
+}
+
+async function loadUserProfile() {
+    try {
+        const response = await fetch('./Profile.csv');
+        if (!response.ok) return;
+        userProfile = parseUserProfile(decodeExportText(await response.arrayBuffer()).text);
+    } catch (e) {
+        console.warn("Could not load Profile.csv", e);
+    }
+}
+
+function restoreAIResults() {
+    const savedAnalysis = localStorage.getItem('ai_analysis');
+    if (savedAnalysis) {
+        try {
+            const result = JSON.parse(savedAnalysis);
+            lastAIResult = result;
+            const viewBtn = document.getElementById('view-results-btn');
+            if (viewBtn) viewBtn.style.display = 'block';
+        } catch (e) {
+            console.error("Failed to restore analysis", e);
+        }
+    }
+}
+
+function showAIResultsPanel() {
+    if (!lastAIResult) return;
+    const panel = document.getElementById('gemini-analysis');
+    panel.innerHTML = `<strong>AI Results:</strong><br>${formatAIText(lastAIResult.explanation)}`;
+    document.getElementById('download-results-btn').style.display = 'inline-block';
+    document.getElementById('clear-results-btn').style.display = 'inline-block';
+}
+
+function showResultsList() {
+    const modal = document.getElementById('results-modal');
+    const listContainer = document.getElementById('results-list');
+
+    let savedResults = [];
+    try {
+        const history = localStorage.getItem('ai_analysis_history');
+        if (history) savedResults = JSON.parse(history);
+    } catch (e) {
+        console.error("Failed to load history", e);
+    }
+
+    if (savedResults.length === 0) {
+        listContainer.innerHTML = '<p style="text-align: center; color: #666;">No saved results yet.</p>';
+        modal.style.display = 'block';
+        return;
+    }
+
+    savedResults.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    let html = '';
+    savedResults.forEach((item) => {
+        const date = new Date(item.timestamp);
+        const dateStr = date.toLocaleString();
+        const preview = item.result.explanation ? item.result.explanation.substring(0, 100) + '...' : 'No explanation';
+        const matchCount = item.result.matches ? item.result.matches.length : 0;
+        const turnCount = item.turns ? item.turns.length : 1;
+
+        html += `
+            <div style="border: 1px solid #ddd; border-radius: 8px; padding: 15px; margin-bottom: 15px; background: #f9f9f9;">
+                <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 10px;">
+                    <div style="flex: 1;">
+                        <strong style="color: #0077b5; font-size: 16px;">Query:</strong>
+                        <p style="margin: 5px 0; font-weight: bold;">"${escapeHtml(item.query)}"</p>
+                        <small style="color: #666;">${dateStr} • ${matchCount} matches${turnCount > 1 ? ` • ${turnCount} turns` : ''}</small>
+                    </div>
+                </div>
+                <p style="color: #555; font-size: 14px; margin: 10px 0;">${escapeHtml(preview)}</p>
+                <div style="display: flex; gap: 10px; margin-top: 10px;">
+                    <button onclick="viewResult('${item.id}')" style="flex: 1; padding: 8px; background: #0077b5; color: white; border: none; border-radius: 5px; cursor: pointer;">
+                        View
+                    </button>
+                    <button onclick="downloadResult('${item.id}')" style="flex: 1; padding: 8px; background: #28a745; color: white; border: none; border-radius: 5px; cursor: pointer;">
+                        Download
+                    </button>
+                    <button onclick="deleteResult('${item.id}')" style="flex: 1; padding: 8px; background: #dc3545; color: white; border: none; border-radius: 5px; cursor: pointer;">
+                        Delete
+                    </button>
+                </div>
+            </div>
+        `;
+    });
+
+    listContainer.innerHTML = html;
+    modal.style.display = 'block';
+}
+
+window.viewResult = function(resultId) {
+    const history = JSON.parse(localStorage.getItem('ai_analysis_history') || '[]');
+    const item = history.find(r => r.id === resultId);
+    if (!item) return;
+    lastAIResult = item.result;
+    showAIResultsPanel();
+    document.getElementById('results-modal').style.display = 'none';
+
+    // Reopen the conversation so it can be continued
+    activeThread = { id: item.id, turns: item.turns || [{ query: item.query, timestamp: item.timestamp, result: item.result }] };
+    renderChatThread();
+
+    // Filter nodes and connections to only show matches, highlighted
+    activeMatches = new Map(item.result.matches.map(m => [m.id, m]));
+    facetState.matchesOnly = true;
+    applyFilters();
+};
+
+window.downloadResult = function(resultId) {
+    const history = JSON.parse(localStorage.getItem('ai_analysis_history') || '[]');
+    const item = history.find(r => r.id === resultId);
+    if (!item) return;
+    const dataStr = JSON.stringify({
+        query: item.query,
+        timestamp: item.timestamp,
+        result: item.result,
+        turns: item.turns
+    }, null, 2);
+    const blob = new Blob([dataStr], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `ai_search_${item.query.substring(0, 20).replace(/[^a-z0-9]/gi, '_')}_${new Date(item.timestamp).toISOString().slice(0,10)}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+};
+
+window.deleteResult = function(resultId) {
+    if (!confirm('Delete this search result?')) return;
+    let history = JSON.parse(localStorage.getItem('ai_analysis_history') || '[]');
+    history = history.filter(r => r.id !== resultId);
+    localStorage.setItem('ai_analysis_history', JSON.stringify(history));
+
+    // Hide button if no results left
+    if (history.length === 0) {
+        document.getElementById('view-results-btn').style.display = 'none';
+    }
+
+    showResultsList();
+};
+
+// --- SNAPSHOTS & DIFF ---
+const MAX_SNAPSHOTS = 20;
+
+// Stable identity across exports: profile URL, else the name (company may change).
+function personKey(node) {
+    return normalizeProfileUrl(node.url) || `name:${node.name.toLowerCase()}`;
+}
+
+function toSnapshotPerson(node) {
+    return {
+        key: personKey(node),
+        name: node.name,
+        company: node.company,
+        role: node.role,
+        url: node.url,
+        connectedOn: node.connectedDate.toISOString()
+    };
+}
+
+// Stores the imported network unless it is identical to the latest snapshot.
+async function saveSnapshot(nodes, label) {
+    const people = nodes.filter(isPerson).map(toSnapshotPerson);
+    const hash = hashString(JSON.stringify(people));
+
+    const snapshots = await listSnapshots();
+    const latest = snapshots[0];
+    if (latest && latest.hash === hash) return { snapshot: latest, previous: snapshots[1] || null };
+
+    const snapshot = { id: Date.now().toString(), createdAt: new Date().toISOString(), label, hash, people };
+    await dbPut('snapshots', snapshot);
+
+    // Prune the oldest snapshots
+    for (const old of snapshots.slice(MAX_SNAPSHOTS - 1)) {
+        await dbDelete('snapshots', old.id);
+    }
+    return { snapshot, previous: latest || null };
+}
+
+// Newest first
+async function listSnapshots() {
+    const snapshots = await dbGetAll('snapshots');
+    return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function diffSnapshots(older, newer) {
+    const before = new Map(older.people.map(p => [p.key, p]));
+    const after = new Map(newer.people.map(p => [p.key, p]));
+
+    const added = newer.people.filter(p => !before.has(p.key));
+    const removed = older.people.filter(p => !after.has(p.key));
+    const changed = [];
+    const aliases = companyAliases();
+    newer.people.forEach(p => {
+        const prev = before.get(p.key);
+        if (prev && (companyMatchKey(prev.company, aliases) !== companyMatchKey(p.company, aliases) || (prev.role || '') !== (p.role || ''))) {
+            changed.push({ person: p, before: { company: prev.company, role: prev.role } });
+        }
+    });
+    return { added, removed, changed };
+}
+
+function snapshotLabel(snapshot) {
+    return `${new Date(snapshot.createdAt).toLocaleString()} · ${snapshot.label} (${snapshot.people.length})`;
+}
+
+async function populateSnapshotSelects(fromId, toId) {
+    const snapshots = await listSnapshots();
+    const fromSelect = document.getElementById('snapshot-from');
+    const toSelect = document.getElementById('snapshot-to');
+
+    const options = snapshots.map(s => `<option value="${s.id}">${escapeHtml(snapshotLabel(s))}</option>`).join('');
+    fromSelect.innerHTML = options;
+    toSelect.innerHTML = options;
+
+    if (snapshots.length > 0) {
+        fromSelect.value = fromId || (snapshots[1] || snapshots[0]).id;
+        toSelect.value = toId || snapshots[0].id;
+    }
+    document.getElementById('compare-snapshots-btn').disabled = snapshots.length < 2;
+}
+
+async function showSnapshotDiff() {
+    const older = await dbGet('snapshots', document.getElementById('snapshot-from').value);
+    const newer = await dbGet('snapshots', document.getElementById('snapshot-to').value);
+    if (!older || !newer) return;
+
+    const diff = diffSnapshots(older, newer);
+
+    // Highlight people of the current network that appear in the diff
+    const newKeys = new Set(diff.added.map(p => p.key));
+    const jobKeys = new Set(diff.changed.map(c => c.person.key));
+    changeHighlights = new Map();
+    masterNodes.forEach(n => {
+        if (isAnchor(n)) return;
+        const key = personKey(n);
+        if (jobKeys.has(key)) changeHighlights.set(n.id, 'job');
+        else if (newKeys.has(key)) changeHighlights.set(n.id, 'new');
+    });
+    refreshNodeStyles();
+
+    renderDiffPanel(diff, older, newer);
+}
+
+function renderDiffPanel(diff, older, newer) {
+    const nodeIdByKey = new Map(masterNodes.filter(isPerson).map(n => [personKey(n), n.id]));
+    const personLink = (p) => {
+        const id = nodeIdByKey.get(p.key);
+        const name = escapeHtml(p.name);
+        return id ? `<a href="#" onclick="selectNodeFromList('${id}'); return false;" style="color: #0077b5;">${name}</a>` : name;
+    };
+    const section = (title, color, items, format) => items.length === 0 ? '' : `
+        <div style="margin-top: 10px;">
+            <strong style="color: ${color};">${title} (${items.length})</strong>
+            <ul style="margin: 4px 0; padding-left: 18px; font-size: 12px;">
+                ${items.map(item => `<li>${format(item)}</li>`).join('')}
+            </ul>
+        </div>`;
+
+    const panel = document.getElementById('gemini-analysis');
+    const total = diff.added.length + diff.removed.length + diff.changed.length;
+    panel.innerHTML = `
+        <strong>What changed</strong><br>
+        <small>${escapeHtml(snapshotLabel(older))} → ${escapeHtml(snapshotLabel(newer))}</small>
+        ${total === 0 ? '<p>No differences between these snapshots.</p>' : ''}
+        ${section('💼 Job changes', CHANGE_COLORS.job, diff.changed, c =>
+            `${personLink(c.person)}: ${escapeHtml(c.before.role)} at ${escapeHtml(c.before.company)} → <strong>${escapeHtml(c.person.role)} at ${escapeHtml(c.person.company)}</strong>`)}
+        ${section('✨ New connections', CHANGE_COLORS.new, diff.added, p =>
+            `${personLink(p)} – ${escapeHtml(p.role)} at ${escapeHtml(p.company)}`)}
+        ${section('👋 Removed connections', '#999', diff.removed, p =>
+            `${escapeHtml(p.name)} – ${escapeHtml(p.role)} at ${escapeHtml(p.company)}`)}
+        ${changeHighlights.size > 0 ? '<button onclick="clearChangeHighlights()" style="margin-top: 10px;">Clear highlights</button>' : ''}
+    `;
+}
+
+window.clearChangeHighlights = function() {
+    changeHighlights = new Map();
+    refreshNodeStyles();
+};
+
+// Saves the freshly loaded network as a snapshot and reports changes since the last one.
+async function recordSnapshot(nodes, label) {
+    try {
+        const { snapshot, previous } = await saveSnapshot(nodes, label);
+        await populateSnapshotSelects(previous ? previous.id : null, snapshot.id);
+        if (previous) await showSnapshotDiff();
+    } catch (e) {
+        console.warn("Could not save snapshot", e);
+    }
+}
+
+// --- TEAM GRAPH ---
+function nameCompanyKey(node, aliases) {
+    return `${node.name.toLowerCase()}|${companyMatchKey(node.company, aliases)}`;
+}
+
+// Adds one owner node per teammate export and links each owner to the people
+// in their export. People found in several exports are merged on profile URL,
+// falling back to name + company.
+function mergeTeamExports(ownNodes, ownLinks) {
+    const nodes = [...ownNodes];
+    const links = ownLinks.map(l => ({ source: l.source, target: l.target }));
+
+    const aliases = companyAliases();
+    const byUrl = new Map();
+    const byNameCompany = new Map();
+    const indexNode = (node) => {
+        const url = normalizeProfileUrl(node.url);
+        if (url) byUrl.set(url, node);
+        byNameCompany.set(nameCompanyKey(node, aliases), node);
+    };
+
+    ownNodes.filter(isPerson).forEach(node => {
+        node.owners = ['ME'];
+        indexNode(node);
+    });
+
+    teamExports.forEach(team => {
+        nodes.push({
+            id: team.ownerId,
+            name: team.name,
+            role: 'Teammate',
+            company: 'Team',
+            isOwner: true,
+            connectionCount: team.people.length,
+            connectedDate: new Date()
+        });
+        links.push({ source: 'ME', target: team.ownerId });
+
+        team.people.forEach(person => {
+            let node = byUrl.get(normalizeProfileUrl(person.url)) || byNameCompany.get(nameCompanyKey(person, aliases));
+            if (!node) {
+                node = { ...person, owners: [] };
+                nodes.push(node);
+                indexNode(node);
+            }
+            if (!node.owners.includes(team.ownerId)) {
+                node.owners.push(team.ownerId);
+                links.push({ source: team.ownerId, target: node.id });
+            }
+        });
+    });
+
+    return { nodes, links };
+}
+
+async function addTeammateExport(fileList, name) {
+    if (!fileList || fileList.length === 0) return;
+    if (ownNetwork.nodes.length === 0) {
+        setImportStatus('Import your own export before adding teammates.', true);
+        return;
+    }
+
+    try {
+        const { files, encodings } = await readExportFiles(fileList);
+        if (!files['connections.csv']) throw new Error('No Connections.csv found in the teammate files.');
+
+        const ownerId = `owner_${Date.now()}`;
+        const { nodes } = await parseExportFiles(files, encodings);
+        const people = nodes.filter(isPerson).map(n => ({ ...n, id: `${ownerId}_${n.id}` }));
+
+        teamExports.push({ ownerId, name: name || `Teammate ${teamExports.length + 1}`, people });
+        rebuildNetwork();
+        renderTeamList();
+        setImportStatus(`Added ${people.length} connections from ${teamExports[teamExports.length - 1].name}.`);
+    } catch (e) {
+        console.error(e);
+        setImportStatus('Teammate import failed: ' + e.message, true);
+    }
+}
+
+window.removeTeammate = function(ownerId) {
+    teamExports = teamExports.filter(t => t.ownerId !== ownerId);
+    rebuildNetwork();
+    renderTeamList();
+};
+
+function renderTeamList() {
+    const list = document.getElementById('team-list');
+    list.innerHTML = teamExports.map(t => `
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 3px;">
+            <span><span style="color: ${OWNER_COLOR};">●</span> ${escapeHtml(t.name)} (${t.people.length})</span>
+            <a href="#" onclick="removeTeammate('${t.ownerId}'); return false;" style="color: #dc3545; text-decoration: none;">✕</a>
+        </div>
+    `).join('');
+}
+
+// Breadth-first search from ME over the merged graph.
+// Returns, for every reachable node id, the previous node id on a shortest path.
+function shortestPathTree() {
+    const adjacency = new Map();
+    masterLinks.forEach(l => {
+        if (!adjacency.has(l.source)) adjacency.set(l.source, []);
+        if (!adjacency.has(l.target)) adjacency.set(l.target, []);
+        adjacency.get(l.source).push(l.target);
+        adjacency.get(l.target).push(l.source);
+    });
+
+    const previous = new Map([['ME', null]]);
+    const queue = ['ME'];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        (adjacency.get(current) || []).forEach(next => {
+            if (previous.has(next)) return;
+            previous.set(next, current);
+            queue.push(next);
+        });
+    }
+    return previous;
+}
+
+// Shortest paths from ME to everyone whose company matches the query.
+function findIntroPaths(companyQuery) {
+    const query = companyQuery.trim().toLowerCase();
+    const previous = shortestPathTree();
+    const nodeById = new Map(masterNodes.map(n => [n.id, n]));
+
+    return masterNodes
+        .filter(n => isPerson(n) && previous.has(n.id)
+            && (n.companyCanonical.toLowerCase().includes(query) || (n.company || '').toLowerCase().includes(query)))
+        .map(target => {
+            const path = [];
+            for (let id = target.id; id !== null; id = previous.get(id)) path.unshift(nodeById.get(id));
+            return { target, path };
+        })
+        .sort((a, b) => a.path.length - b.path.length || a.target.name.localeCompare(b.target.name));
+}
+
+function showIntroPaths() {
+    const company = document.getElementById('intro-company').value;
+    if (!company.trim()) return;
+
+    const results = findIntroPaths(company);
+    const panel = document.getElementById('gemini-analysis');
+
+    if (results.length === 0) {
+        pathHighlight = null;
+        panel.innerHTML = `<strong>Warm Intros</strong><br>Nobody in the team graph works at "${escapeHtml(company)}".`;
+        refreshNodeStyles();
+        return;
+    }
+
+    pathHighlight = { nodes: new Set(), links: new Set() };
+    results.forEach(({ path }) => {
+        path.forEach((node, i) => {
+            pathHighlight.nodes.add(node.id);
+            if (i > 0) pathHighlight.links.add(linkKey(path[i - 1].id, node.id));
+        });
+    });
+    showNodeSubset(results.map(r => r.target));
+
+    // Group by who can make the intro: ME (direct) or a teammate
+    const byIntroducer = d3.group(results, r => r.path.length > 2 ? r.path[1].id : 'ME');
+    let html = `<strong>Warm Intros to "${escapeHtml(company)}"</strong>`;
+    byIntroducer.forEach((items, introducerId) => {
+        const title = introducerId === 'ME'
+            ? 'You know directly'
+            : `${escapeHtml(items[0].path[1].name)} can introduce you to`;
+        html += `<div style="margin-top: 10px;"><strong style="color: #b38f00;">${title}:</strong>
+            <ul style="margin: 4px 0; padding-left: 18px; font-size: 12px;">
+                ${items.map(r => `<li><a href="#" onclick="selectNodeFromList('${r.target.id}'); return false;" style="color: #0077b5;">${escapeHtml(r.target.name)}</a> – ${escapeHtml(r.target.role)} at ${escapeHtml(r.target.companyCanonical)}</li>`).join('')}
+            </ul></div>`;
+    });
+    html += '<button onclick="clearIntroPaths()" style="margin-top: 10px;">Clear</button>';
+    panel.innerHTML = html;
+}
+
+window.clearIntroPaths = function() {
+    pathHighlight = null;
+    applyFilters();
+};
+
+function bindTeamControls() {
+    const fileInput = document.getElementById('team-file-input');
+    document.getElementById('add-teammate-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const nameInput = document.getElementById('teammate-name');
+        await addTeammateExport(fileInput.files, nameInput.value.trim());
+        fileInput.value = '';
+        nameInput.value = '';
+    });
+    document.getElementById('find-intro-btn').addEventListener('click', showIntroPaths);
+    document.getElementById('intro-company').addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') showIntroPaths();
+    });
+}
+
+// --- COMPANY NORMALIZATION ---
+// node.company keeps the raw export value; node.companyCanonical is the name
+// that grouping, filters, layouts and prompts use: legal suffixes, punctuation
+// and spacing differences dropped and aliases applied (built-in + the user's table).
+// Names a typo apart are only suggested as merges; real companies differ by one
+// letter too ("Unity" / "Unify").
+const COMPANY_LEGAL_FORMS = new Set([
+    'inc', 'incorporated', 'llc', 'llp', 'lp', 'ltd', 'limited', 'corp', 'corporation',
+    'gmbh', 'ag', 'sa', 'sas', 'sarl', 'srl', 'spa', 'bv', 'nv', 'ab', 'oy', 'plc', 'pty', 'pte', 'kk'
+]);
+// Matching also ignores generic trailing words ("Acme Group" is "Acme"), but
+// displayed names keep them: "Boston Consulting Group" stays as written.
+const COMPANY_SUFFIXES = new Set([...COMPANY_LEGAL_FORMS, 'co', 'company', 'group', 'holding', 'holdings', 'technologies']);
+// Keys are companyKey() forms
+const BUILTIN_COMPANY_ALIASES = {
+    'alphabet': 'Google',
+    'facebook': 'Meta',
+    'meta platforms': 'Meta',
+    'aws': 'Amazon',
+    'amazon web services': 'Amazon',
+    'pricewaterhousecoopers': 'PwC',
+    'ernst young': 'EY',
+    'ea': 'Electronic Arts'
+};
+let companyMerges = []; // [{ canonical, variants: [raw] }] from the last normalization, for the UI
+let companySuggestions = []; // [{ from, fromName, toKey, to }] possible duplicates for the user to confirm
+
+function companyTokens(name) {
+    return stripAccents(String(name || '').toLowerCase()).split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// Lowercase, punctuation-free, without a leading "the" and trailing legal suffixes
+function companyKey(name) {
+    const tokens = companyTokens(name);
+    if (tokens[0] === 'the' && tokens.length > 1) tokens.shift();
+    while (tokens.length > 1 && COMPANY_SUFFIXES.has(tokens[tokens.length - 1])) tokens.pop();
+    return tokens.join(' ');
+}
+
+// The raw name, as written, minus trailing legal forms: "Google LLC" -> "Google"
+function companyDisplayName(name) {
+    const words = String(name || '').trim().split(/\s+/);
+    while (words.length > 1 && COMPANY_LEGAL_FORMS.has(companyKey(words[words.length - 1]))) words.pop();
+    return words.join(' ').replace(/[\s,.\-–]+$/, '');
+}
+
+function loadCompanyAliases() {
+    return JSON.parse(localStorage.getItem('company_aliases') || '{}');
+}
+
+function companyAliases() {
+    return { ...BUILTIN_COMPANY_ALIASES, ...loadCompanyAliases() };
+}
+
+function loadDismissedCompanyMerges() {
+    return new Set(JSON.parse(localStorage.getItem('company_merges_dismissed') || '[]'));
+}
+
+// Key that treats aliases as the same company; for comparing two raw names.
+// Callers comparing many names load the alias table once and pass it in.
+function companyMatchKey(name, aliases = companyAliases()) {
+    const key = companyKey(name);
+    const alias = aliases[key];
+    return alias ? companyKey(alias) : key;
+}
+
+// Keys one or two typos apart ("gooogle" / "google"); suggested, never merged on their own
+function isPossibleDuplicateCompany(a, b) {
+    const shorter = Math.min(a.length, b.length);
+    if (shorter < 5) return false;
+    const maxTypos = shorter >= 10 ? 2 : 1;
+    return Math.abs(a.length - b.length) <= maxTypos && editDistance(a, b) <= maxTypos;
+}
+
+// Sets companyCanonical on every person
+function normalizeCompanies(nodes) {
+    const aliases = companyAliases();
+    const people = nodes.filter(isPerson);
+
+    // Spellings seen per alias-resolved key
+    const groups = new Map();
+    people.forEach(node => {
+        const key = companyMatchKey(node.company, aliases);
+        if (!groups.has(key)) groups.set(key, { count: 0, spellings: new Map(), raw: new Set() });
+        const group = groups.get(key);
+        const spelling = companyDisplayName(node.company);
+        group.count++;
+        group.spellings.set(spelling, (group.spellings.get(spelling) || 0) + 1);
+        group.raw.add(node.company);
+    });
+
+    // Fold spacing variants ("Linked In") into the most common spelling's key
+    const roots = [];
+    const rootOf = new Map();
+    const rootBySpacing = new Map();
+    Array.from(groups.keys())
+        .sort((a, b) => groups.get(b).count - groups.get(a).count)
+        .forEach(key => {
+            const compact = key.replace(/ /g, '');
+            const root = key && rootBySpacing.get(compact);
+            if (root) {
+                rootOf.set(key, root);
+            } else {
+                roots.push(key);
+                rootOf.set(key, key);
+                rootBySpacing.set(compact, key);
+            }
+        });
+
+    // Canonical name: the alias target, else the most common spelling in the merged group
+    const canonicalByRoot = new Map();
+    roots.forEach(root => {
+        const aliasTarget = Object.entries(aliases).find(([from, to]) => companyKey(to) === root && from !== root);
+        const spellings = new Map();
+        rootOf.forEach((r, key) => {
+            if (r !== root) return;
+            groups.get(key).spellings.forEach((count, spelling) => spellings.set(spelling, (spellings.get(spelling) || 0) + count));
+        });
+        // Alias targets win even over a more common spelling
+        const byCount = Array.from(spellings.entries()).sort((a, b) => b[1] - a[1]);
+        const aliasName = aliases[root] || (aliasTarget && aliasTarget[1]);
+        canonicalByRoot.set(root, aliasName || (byCount[0] ? byCount[0][0] : ''));
+    });
+
+    people.forEach(node => {
+        node.companyCanonical = canonicalByRoot.get(rootOf.get(companyMatchKey(node.company, aliases))) || '';
+    });
+
+    // Rarer names a typo away from a more common one, unless the user kept them apart.
+    // Keys more than two letters apart in length can't be, so only those are compared.
+    const dismissed = loadDismissedCompanyMerges();
+    const rank = new Map(roots.map((key, i) => [key, i]));
+    const moreCommonByLength = new Map(); // key length -> keys already visited
+    companySuggestions = [];
+    roots.forEach(key => {
+        if (!key) return;
+        const candidates = [];
+        for (let length = key.length - 2; length <= key.length + 2; length++) {
+            (moreCommonByLength.get(length) || []).forEach(r => {
+                if (isPossibleDuplicateCompany(key, r)) candidates.push(r);
+            });
+        }
+        const target = candidates.sort((a, b) => rank.get(a) - rank.get(b))[0];
+        if (target && !dismissed.has(`${key}|${target}`)) {
+            companySuggestions.push({ from: key, fromName: canonicalByRoot.get(key), toKey: target, to: canonicalByRoot.get(target) });
+        }
+        if (!moreCommonByLength.has(key.length)) moreCommonByLength.set(key.length, []);
+        moreCommonByLength.get(key.length).push(key);
+    });
+
+    companyMerges = roots
+        .map(root => {
+            const variants = new Set();
+            rootOf.forEach((r, key) => { if (r === root) groups.get(key).raw.forEach(raw => variants.add(raw)); });
+            return { canonical: canonicalByRoot.get(root), variants: Array.from(variants) };
+        })
+        .filter(merge => merge.variants.length > 1 || (merge.variants[0] !== undefined && merge.variants[0] !== merge.canonical))
+        .sort((a, b) => a.canonical.localeCompare(b.canonical));
+}
+
+function renderCompanyAliases() {
+    const list = document.getElementById('alias-list');
+    const aliases = loadCompanyAliases();
+    const userRows = Object.entries(aliases).map(([from, to]) => `
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 3px;">
+            <span>${escapeHtml(from)} → <strong>${escapeHtml(to)}</strong></span>
+            <a href="#" onclick="removeCompanyAlias('${escapeHtml(from).replace(/'/g, '&#39;')}'); return false;" style="color: #dc3545; text-decoration: none;">✕</a>
+        </div>
+    `).join('');
+    const merged = companyMerges.map(m =>
+        `<li><strong>${escapeHtml(m.canonical)}</strong> ← ${m.variants.map(escapeHtml).join(', ')}</li>`
+    ).join('');
+    const suggested = companySuggestions.map((m, i) => `
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 3px;">
+            <span>${escapeHtml(m.fromName)} → <strong>${escapeHtml(m.to)}</strong>?</span>
+            <span>
+                <a href="#" onclick="acceptCompanyMerge(${i}); return false;" style="color: #28a745; text-decoration: none;" title="Same company: merge">✓</a>
+                <a href="#" onclick="dismissCompanyMerge(${i}); return false;" style="color: #dc3545; text-decoration: none;" title="Different companies">✕</a>
+            </span>
+        </div>
+    `).join('');
+    list.innerHTML = userRows
+        + (suggested ? `<details open><summary>Possible duplicates (${companySuggestions.length})</summary>${suggested}</details>` : '')
+        + (merged
+            ? `<details><summary>Merged names (${companyMerges.length})</summary><ul style="margin: 4px 0; padding-left: 18px;">${merged}</ul></details>`
+            : '');
+}
+
+// Re-normalizes the loaded network after an alias change
+function refreshCompanies() {
+    normalizeCompanies(masterNodes);
+    renderCompanyAliases();
+    updateFilteredNodesList();
+    refreshTaxonomy().catch(e => console.warn('Could not load role labels', e));
+}
+
+function addCompanyAlias() {
+    const fromInput = document.getElementById('alias-from');
+    const toInput = document.getElementById('alias-to');
+    const from = companyKey(fromInput.value);
+    const to = toInput.value.trim();
+    if (!from || !to) {
+        alert('Enter the company name as it appears in the export and the name to use instead.');
+        return;
+    }
+    const aliases = loadCompanyAliases();
+    aliases[from] = to;
+    localStorage.setItem('company_aliases', JSON.stringify(aliases));
+    fromInput.value = '';
+    toInput.value = '';
+    refreshCompanies();
+}
+
+// A confirmed suggestion becomes a user alias
+window.acceptCompanyMerge = function(index) {
+    const suggestion = companySuggestions[index];
+    if (!suggestion) return;
+    const aliases = loadCompanyAliases();
+    aliases[suggestion.from] = suggestion.to;
+    localStorage.setItem('company_aliases', JSON.stringify(aliases));
+    refreshCompanies();
+};
 
-    try {
-        const jsonStr = await aiService.generateContent(PROMPT);
-        let result;
-        try {
-            result = JSON.parse(jsonStr);
-        } catch {
-            const cleanJson = jsonStr.replace(/```json|```/g, '');
-            result = JSON.parse(cleanJson);
-        }
+window.dismissCompanyMerge = function(index) {
+    const suggestion = companySuggestions[index];
+    if (!suggestion) return;
+    const dismissed = loadDismissedCompanyMerges();
+    dismissed.add(`${suggestion.from}|${suggestion.toKey}`);
+    localStorage.setItem('company_merges_dismissed', JSON.stringify(Array.from(dismissed)));
+    companySuggestions.splice(index, 1);
+    renderCompanyAliases();
+};
 
-        lastAIResult = result;
-        localStorage.setItem('ai_analysis', JSON.stringify(result));
+window.removeCompanyAlias = function(from) {
+    const aliases = loadCompanyAliases();
+    delete aliases[from];
+    localStorage.setItem('company_aliases', JSON.stringify(aliases));
+    refreshCompanies();
+};
 
-        // Save to history
-        const history = JSON.parse(localStorage.getItem('ai_analysis_history') || '[]');
-        history.push({
-            id: Date.now().toString(),
-            query: query,
-            timestamp: new Date().toISOString(),
-            result: result
-        });
-        localStorage.setItem('ai_analysis_history', JSON.stringify(history));
+// --- ROLE TAXONOMY ---
+// Every person gets jobFunction, seniority and industry labels: from local rules
+// first, then from the AI for what the rules can't tell (cached in IndexedDB by
+// title + company), with the user's overrides on top. taxonomySource records
+// where each label came from ('rules' | 'ai' | 'user').
+const TAXONOMY_FIELDS = ['jobFunction', 'seniority', 'industry'];
+const TAXONOMY_VALUES = {
+    jobFunction: ['engineering', 'design', 'product', 'data', 'sales', 'marketing', 'people', 'finance',
+        'operations', 'research', 'legal', 'consulting', 'executive', 'student', 'other', 'unknown'],
+    seniority: ['intern', 'entry', 'mid', 'senior', 'lead', 'manager', 'director', 'vp', 'c-level', 'founder', 'unknown'],
+    industry: ['technology', 'gaming', 'finance', 'consulting', 'education', 'healthcare', 'media', 'retail',
+        'manufacturing', 'government', 'nonprofit', 'other', 'unknown']
+};
+const TAXONOMY_LABELS = { jobFunction: 'Function', seniority: 'Seniority', industry: 'Industry' };
+const TAXONOMY_STORE = 'taxonomy';
+const TAXONOMY_BATCH_SIZE = 60;
+
+// First match wins, so more specific patterns come first
+const FUNCTION_RULES = [
+    ['student', /\b(student|intern|internship|trainee)\b/],
+    ['executive', /\b(ceo|coo|chief|president|founder|co-?founder|owner|managing director|general manager)\b/],
+    ['people', /\b(recruit\w*|talent|hr|human resources|people (ops|partner)|sourcer)\b/],
+    ['legal', /\b(legal|lawyer|attorney|counsel|paralegal)\b/],
+    // "ai" and "bi" only as standalone words, not inside "bi-weekly" or "bi-lingual"
+    ['data', /\b(data|analytics|scientist|machine learning|ml|artificial intelligence|business intelligence)\b|(?<![\w-])(ai|bi)(?![\w-])/],
+    ['design', /\b(design\w*|ux|ui|artist|art director|animator|illustrat\w*|creative)\b/],
+    ['product', /\b(product|program manager|project manager|producer|scrum master)\b/],
+    ['engineering', /\b(engineer\w*|developer|programmer|swe|software|devops|sre|architect|cto|firmware|qa|tester|technical)\b/],
+    ['sales', /\b(sales|account (executive|manager)|business development|bd|partnerships|customer success)\b/],
+    ['marketing', /\b(marketing|marketer|growth|brand|community|content|seo|communications|social media|cmo)\b/],
+    ['finance', /\b(finance|financial|accountant|accounting|controller|investor|investment|venture|cfo|treasury)\b/],
+    ['research', /\b(research\w*|professor|lecturer|phd|postdoc|teacher)\b/],
+    ['consulting', /\b(consult\w*|advisor|adviser)\b/],
+    ['operations', /\b(operations|ops|logistics|supply chain|office manager|administrat\w*|coordinator)\b/]
+];
+const SENIORITY_RULES = [
+    ['intern', /\b(intern|internship|trainee|student)\b/],
+    ['founder', /\b(founder|co-?founder|owner)\b/],
+    ['c-level', /\b(ceo|cto|cfo|coo|cmo|cpo|ciso|chief|president)\b/],
+    ['vp', /\b(vp|svp|evp|vice president)\b/],
+    ['director', /\b(director|head of)\b/],
+    ['manager', /\b(manager|mgr)\b/],
+    ['lead', /\b(lead|principal|staff|architect)\b/],
+    ['senior', /\b(senior|sr|iii)\b/],
+    ['entry', /\b(junior|jr|associate|graduate|assistant|entry)\b/]
+];
+// Matched against the company name only. Short brand names (EA, AI) and words
+// that are as often part of an unrelated name (Meta, Apple, Digital, Labs) are
+// left out: a company is better left "unknown" than filed under the wrong industry.
+const INDUSTRY_RULES = [
+    ['gaming', /\b(games?|gaming|ubisoft|blizzard|riot games|valve|nintendo|playstation|xbox|electronic arts|activision|bungie|unity technologies|epic games)\b/],
+    ['finance', /\b(bank|banking|capital|financial|invest\w*|ventures|fund|insurance|securities|goldman|jpmorgan|morgan stanley)\b/],
+    ['consulting', /\b(consult\w*|deloitte|accenture|mckinsey|bcg|pwc|kpmg|associates)\b/],
+    ['education', /\b(universit\w*|college|school|academy|institute)\b/],
+    ['healthcare', /\b(health\w*|hospital|medical|pharma\w*|clinic|biotech)\b/],
+    ['government', /\b(government|ministry|department of|city of|county|federal|army|navy)\b/],
+    ['nonprofit', /\b(foundation|nonprofit|non-profit|charity|ngo)\b/],
+    ['media', /\b(media|news|entertainment|film|music|publishing|broadcast\w*)\b/],
+    ['retail', /\b(retail|store|stores|shop|commerce)\b/],
+    ['technology', /\b(tech|technologies|software|google|microsoft|amazon|cloud|systems)\b/]
+];
+
+function matchRule(rules, text) {
+    const rule = rules.find(([, pattern]) => pattern.test(text));
+    return rule ? rule[0] : 'unknown';
+}
 
-        document.getElementById('view-results-btn').style.display = 'block';
-        showAIResultsPanel();
+function classifyRole(role, company) {
+    const title = stripAccents(String(role || '').toLowerCase());
+    const jobFunction = matchRule(FUNCTION_RULES, title);
+    let seniority = matchRule(SENIORITY_RULES, title);
+    // A recognized title with no level marker is most likely mid-level
+    if (seniority === 'unknown' && jobFunction !== 'unknown') seniority = 'mid';
+    const industry = matchRule(INDUSTRY_RULES, stripAccents(String(company || '').toLowerCase()));
+    return { jobFunction, seniority, industry };
+}
 
-        // Filter nodes and connections to only show matches
-        const ME_ID = 'ME';
-        const matchedIds = new Set(result.matches.map(m => m.id));
-        matchedIds.add(ME_ID); // Always include ME node
+function taxonomyCacheKey(node) {
+    return hashString(`${String(node.role).toLowerCase()}|${String(node.companyCanonical).toLowerCase()}`);
+}
 
-        // Filter nodes to only include ME and matched nodes
-        const filteredNodes = masterNodes.filter(n => matchedIds.has(n.id));
+function loadTaxonomyOverrides() {
+    return JSON.parse(localStorage.getItem('taxonomy_overrides') || '{}');
+}
 
-        // Filter links to only include connections to matched nodes
-        const filteredLinks = [];
-        filteredNodes.forEach(n => {
-            if (n.id !== ME_ID) {
-                filteredLinks.push({ source: ME_ID, target: n.id });
+// Labels from rules, then cached AI labels for the unknowns, then overrides
+function applyTaxonomy(nodes, aiLabels = new Map()) {
+    const overrides = loadTaxonomyOverrides();
+    nodes.filter(isPerson).forEach(node => {
+        const rules = classifyRole(node.role, node.company);
+        const ai = aiLabels.get(taxonomyCacheKey(node)) || {};
+        const override = overrides[personKey(node)] || {};
+        node.taxonomySource = {};
+        TAXONOMY_FIELDS.forEach(field => {
+            if (override[field]) {
+                node[field] = override[field];
+                node.taxonomySource[field] = 'user';
+            } else if (rules[field] === 'unknown' && ai[field] && ai[field] !== 'unknown') {
+                node[field] = ai[field];
+                node.taxonomySource[field] = 'ai';
+            } else {
+                node[field] = rules[field];
+                node.taxonomySource[field] = 'rules';
             }
         });
+    });
+}
 
-        globalNodes = filteredNodes;
-        globalLinks = filteredLinks;
+async function loadTaxonomyCache() {
+    const records = await dbGetAll(TAXONOMY_STORE);
+    return new Map(records.map(r => [r.id, r]));
+}
 
-        // Update simulation with filtered data
-        if (simulation) {
-            simulation.nodes(globalNodes);
-            simulation.force('link').links(globalLinks);
-            simulation.alpha(1).restart();
-        }
+// Re-applies labels to the merged network and refreshes everything that shows them
+async function refreshTaxonomy() {
+    const aiLabels = await loadTaxonomyCache().catch(() => new Map());
+    applyTaxonomy(masterNodes, aiLabels);
+    populateTaxonomyFilters();
+    refreshNodeStyles();
+    renderColorLegend();
+}
 
-        // Re-render visualization with filtered data
-        updateLayout();
+function needsAILabels(node) {
+    return TAXONOMY_FIELDS.some(field => node[field] === 'unknown' && node.taxonomySource[field] === 'rules');
+}
 
-        // Update filtered nodes list
-        updateFilteredNodesList();
-
-        // Highlight matches
-        const matchMap = new Map(result.matches.map(m => [m.id, m]));
-        setTimeout(() => {
-            if (g) {
-                g.selectAll('.node circle')
-                    .style('fill', d => {
-                        if (d.id === 'ME') return '#fff';
-                        if (matchMap.has(d.id)) return '#00ff88';
-                        const year = d.connectedDate.getFullYear();
-                        const hue = (year % 10) * 36;
-                        return d3.hsl(hue, 0.7, 0.6).toString();
-                    })
-                    .attr('r', d => {
-                        if (d.id === 'ME') return 15;
-                        if (matchMap.has(d.id)) {
-                            const score = matchMap.get(d.id).score;
-                            return NODE_RADIUS_MIN + (score / 100) * (NODE_RADIUS_MAX - NODE_RADIUS_MIN) + 5;
-                        }
-                        const dates = globalNodes.filter(n => n.id !== 'ME').map(n => n.connectedDate.getTime());
-                        const minTime = Math.min(...dates);
-                        const maxTime = Math.max(...dates);
-                        const timeSpan = maxTime - minTime || 1;
-                        const recency = (d.connectedDate.getTime() - minTime) / timeSpan;
-                        return NODE_RADIUS_MIN + (recency * (NODE_RADIUS_MAX - NODE_RADIUS_MIN));
-                    });
-            }
-        }, 100);
+function describeTaxonomy(node) {
+    const labels = TAXONOMY_FIELDS.map(field => node[field]).filter(value => value && value !== 'unknown');
+    return labels.length > 0 ? ` {${labels.join(', ')}}` : '';
+}
 
-        panel.innerHTML = `<strong>AI Results:</strong><br>${result.explanation}`;
+const TAXONOMY_BATCH_SCHEMA = {
+    title: 'taxonomy_labels',
+    type: 'object',
+    properties: {
+        labels: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    jobFunction: { type: 'string', enum: TAXONOMY_VALUES.jobFunction },
+                    seniority: { type: 'string', enum: TAXONOMY_VALUES.seniority },
+                    industry: { type: 'string', enum: TAXONOMY_VALUES.industry }
+                },
+                required: ['id', 'jobFunction', 'seniority', 'industry']
+            }
+        }
+    },
+    required: ['labels']
+};
 
-    } catch (e) {
-        panel.innerText = "Error: " + e.message;
-    } finally {
-        loading.style.display = 'none';
-    }
+// Keeps labels for known ids; values outside the allowed lists become 'unknown'
+function validateTaxonomyBatch(ids) {
+    return (text) => {
+        const outcome = validateJsonObject(text, { ...TAXONOMY_BATCH_SCHEMA, properties: { labels: { type: 'array' } } });
+        if (!outcome.ok) return outcome;
+        const labels = outcome.value.labels
+            .filter(label => label && ids.has(label.id))
+            .map(label => {
+                const clean = { id: label.id };
+                TAXONOMY_FIELDS.forEach(field => {
+                    clean[field] = TAXONOMY_VALUES[field].includes(label[field]) ? label[field] : 'unknown';
+                });
+                return clean;
+            });
+        if (labels.length === 0) return { ok: false, errors: ['labels contains none of the given IDs'] };
+        return { ok: true, value: { labels }, dropped: [] };
+    };
 }
 
-function downloadAIResults() {
-    if (!lastAIResult) return;
-    const dataStr = JSON.stringify(lastAIResult, null, 2);
-    const blob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `ai_network_analysis_${new Date().toISOString().slice(0,10)}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-}
+function buildTaxonomyPrompt(items) {
+    return `
+    Classify each LinkedIn connection by job function, seniority and industry, from their title and company.
+    Allowed jobFunction values: ${TAXONOMY_VALUES.jobFunction.join(', ')}
+    Allowed seniority values: ${TAXONOMY_VALUES.seniority.join(', ')}
+    Allowed industry values: ${TAXONOMY_VALUES.industry.join(', ')}
+    Use "unknown" when the title and company give no clue.
 
-function clearAIResults() {
-    localStorage.removeItem('ai_analysis');
-    lastAIResult = null;
+    Connections:
+    ${items.map(item => `- [ID: ${item.id}] ${item.role} at ${item.company}`).join('\n    ')}
 
-    document.getElementById('download-results-btn').style.display = 'none';
-    document.getElementById('clear-results-btn').style.display = 'none';
-    document.getElementById('view-results-btn').style.display = 'none';
-    document.getElementById('gemini-analysis').innerHTML = `
-      <strong>Hackathon Mode:</strong><br>
-      Ask AI to find people, analyze clusters, or suggest career paths.<br><br>
-      Try: <em>"Who works in gaming?"</em> or <em>"Find me investors."</em>
+    Return JSON ONLY: {"labels": [{"id": "t_0", "jobFunction": "...", "seniority": "...", "industry": "..."}]}
     `;
+}
 
-    // Restore all nodes and connections
-    const ME_ID = 'ME';
-    globalNodes = [...masterNodes];
+// Asks the AI about every distinct title + company the rules could not fully label
+async function enrichTaxonomyWithAI() {
+    const status = document.getElementById('taxonomy-status');
+    syncAIServiceFromUI();
 
-    // Rebuild all links
-    globalLinks = [];
-    globalNodes.forEach(n => {
-        if (n.id !== ME_ID) {
-            globalLinks.push({ source: ME_ID, target: n.id });
-        }
+    const cached = await loadTaxonomyCache();
+    const pending = new Map(); // cache key -> { role, company }
+    masterNodes.filter(isPerson).filter(needsAILabels).forEach(node => {
+        const key = taxonomyCacheKey(node);
+        if (!cached.has(key)) pending.set(key, { role: node.role, company: node.companyCanonical });
     });
-
-    // Update simulation with restored data
-    if (simulation) {
-        simulation.nodes(globalNodes);
-        simulation.force('link').links(globalLinks);
-        simulation.alpha(1).restart();
+    if (pending.size === 0) {
+        status.innerText = 'All roles are labeled.';
+        return;
     }
 
-    // Re-render visualization
-    updateLayout();
-
-    // Update filtered nodes list
-    updateFilteredNodesList();
-
-    // Reset visualization styling
-    setTimeout(() => {
-        if (g) {
-            g.selectAll('.node circle')
-                .style('fill', d => {
-                    if (d.id === 'ME') return '#fff';
-                    const year = d.connectedDate.getFullYear();
-                    const hue = (year % 10) * 36;
-                    return d3.hsl(hue, 0.7, 0.6).toString();
-                })
-                .attr('r', d => {
-                    if (d.id === 'ME') return 15;
-                    const dates = globalNodes.filter(n => n.id !== 'ME').map(n => n.connectedDate.getTime());
-                    const minTime = Math.min(...dates);
-                    const maxTime = Math.max(...dates);
-                    const timeSpan = maxTime - minTime || 1;
-                    const recency = (d.connectedDate.getTime() - minTime) / timeSpan;
-                    return NODE_RADIUS_MIN + (recency * (NODE_RADIUS_MAX - NODE_RADIUS_MIN));
-                });
-        }
-    }, 100);
-}
-
-async function loadUserProfile() {
+    const entries = Array.from(pending.entries());
+    const controller = startAIRequest();
+    let labeled = 0;
     try {
-        const response = await fetch('./Profile.csv');
-        if (!response.ok) return;
-        const text = await response.text();
-        const data = d3.csvParse(text);
-
-        if (data && data.length > 0) {
-            const me = data[0];
-            userProfile = {
-                firstName: me['First Name'],
-                lastName: me['Last Name'],
-                headline: me['Headline'],
-                summary: me['Summary'],
-                industry: me['Industry']
-            };
+        for (let i = 0; i < entries.length; i += TAXONOMY_BATCH_SIZE) {
+            status.innerText = `Labeling roles with AI: ${i}/${entries.length}...`;
+            const batch = entries.slice(i, i + TAXONOMY_BATCH_SIZE)
+                .map(([key, item], j) => ({ id: `t_${j}`, key, ...item }));
+            const outcome = await generateValidated(buildTaxonomyPrompt(batch), TAXONOMY_BATCH_SCHEMA, validateTaxonomyBatch(new Set(batch.map(b => b.id))), {
+                signal: controller.signal,
+                onRetry: retryNotifier(status)
+            });
+            const byId = new Map(batch.map(b => [b.id, b]));
+            for (const label of outcome.value.labels) {
+                const { id, ...fields } = label;
+                await dbPut(TAXONOMY_STORE, { ...fields, id: byId.get(id).key });
+                labeled++;
+            }
+            await refreshTaxonomy();
         }
-    } catch (e) {
-        console.warn("Could not load Profile.csv", e);
+        status.innerText = `Labeled ${labeled} distinct role(s) with AI.`;
+    } catch (error) {
+        showAIError(status, error);
+    } finally {
+        finishAIRequest(controller);
     }
 }
 
-function restoreAIResults() {
-    const savedAnalysis = localStorage.getItem('ai_analysis');
-    if (savedAnalysis) {
-        try {
-            const result = JSON.parse(savedAnalysis);
-            lastAIResult = result;
-            const viewBtn = document.getElementById('view-results-btn');
-            if (viewBtn) viewBtn.style.display = 'block';
-        } catch (e) {
-            console.error("Failed to restore analysis", e);
-        }
-    }
+// Overrides are stored per person and win over rules and AI
+function setTaxonomyOverride(node, field, value) {
+    const overrides = loadTaxonomyOverrides();
+    const key = personKey(node);
+    overrides[key] = { ...overrides[key], [field]: value || undefined };
+    if (TAXONOMY_FIELDS.every(f => !overrides[key][f])) delete overrides[key];
+    localStorage.setItem('taxonomy_overrides', JSON.stringify(overrides));
+    refreshTaxonomy().then(() => showTaxonomyEditor(node));
 }
 
-function showAIResultsPanel() {
-    if (!lastAIResult) return;
-    const panel = document.getElementById('gemini-analysis');
-    panel.innerHTML = `<strong>AI Results:</strong><br>${lastAIResult.explanation}`;
-    document.getElementById('download-results-btn').style.display = 'inline-block';
-    document.getElementById('clear-results-btn').style.display = 'inline-block';
+function showTaxonomyEditor(node) {
+    const editor = document.getElementById('taxonomy-editor');
+    editor.innerHTML = TAXONOMY_FIELDS.map(field => `
+        <label style="font-size: 12px; font-weight: normal; display: flex; align-items: center; gap: 5px; margin-bottom: 3px;">
+            <span style="width: 70px;">${TAXONOMY_LABELS[field]}</span>
+            <select data-field="${field}" style="flex: 1; padding: 4px; margin: 0;">
+                <option value="">Auto (${escapeHtml(classifyRole(node.role, node.company)[field])})</option>
+                ${TAXONOMY_VALUES[field].map(v => `<option value="${v}" ${node.taxonomySource[field] === 'user' && node[field] === v ? 'selected' : ''}>${v}</option>`).join('')}
+            </select>
+            <small style="width: 40px; color: #666;">${node.taxonomySource[field] === 'user' ? 'you' : node.taxonomySource[field] === 'ai' ? 'AI' : 'rules'}</small>
+        </label>
+    `).join('');
+    // An AI label shows as the current value of "Auto"
+    editor.querySelectorAll('select').forEach(select => {
+        const field = select.dataset.field;
+        if (node.taxonomySource[field] === 'ai') select.options[0].text = `Auto (${node[field]})`;
+        select.addEventListener('change', () => setTaxonomyOverride(node, field, select.value));
+    });
 }
 
-function showResultsList() {
-    const modal = document.getElementById('results-modal');
-    const listContainer = document.getElementById('results-list');
+// Label filters list the values present in the network, with live counts
+function populateTaxonomyFilters() {
+    TAXONOMY_FIELDS.forEach(field => {
+        const select = document.getElementById(`${field}-filter`);
+        const present = new Set(masterNodes.filter(isPerson).map(n => n[field]));
+        const counts = d3.rollup(facetCountBase(field), v => v.length, n => n[field]);
+        select.innerHTML = `<option value="all">Any ${TAXONOMY_LABELS[field].toLowerCase()}</option>` +
+            TAXONOMY_VALUES[field]
+                .filter(value => present.has(value))
+                .map(value => `<option value="${value}">${value} (${counts.get(value) || 0})</option>`)
+                .join('');
+        if (!present.has(facetState[field])) facetState[field] = 'all';
+        select.value = facetState[field];
+    });
+}
 
-    let savedResults = [];
+// --- NETWORK WORKER ---
+// Export parsing and the force simulation run in NetworkWorker.js when the
+// browser can start it, and on the main thread (same NetworkCore.js code) otherwise.
+let networkWorker; // undefined = not started yet, null = unavailable
+let workerRequests = new Map(); // request id -> resolve, for parse requests
+let nextWorkerRequest = 1;
+let nextSimulationRun = 1;
+
+// The worker loads the same d3 build as the page: the <script> in index.html
+function d3ScriptUrl() {
+    const script = document.querySelector('script[src*="d3"]');
+    return script ? script.src : '';
+}
+
+function getNetworkWorker() {
+    if (networkWorker !== undefined) return networkWorker;
     try {
-        const history = localStorage.getItem('ai_analysis_history');
-        if (history) savedResults = JSON.parse(history);
+        const url = new URL('./NetworkWorker.js?v=10', import.meta.url);
+        url.searchParams.set('d3', d3ScriptUrl());
+        networkWorker = new Worker(url, { type: 'module' });
+        networkWorker.addEventListener('message', (event) => {
+            const { type, id } = event.data;
+            if (type === 'unavailable') disableNetworkWorker(event.data.message);
+            if (type !== 'parsed' && type !== 'failed') return;
+            const resolve = workerRequests.get(id);
+            workerRequests.delete(id);
+            if (resolve) resolve(event.data);
+        });
+        networkWorker.addEventListener('error', (event) => {
+            disableNetworkWorker(event.message || 'the worker script failed to load');
+        });
     } catch (e) {
-        console.error("Failed to load history", e);
-    }
-
-    if (savedResults.length === 0) {
-        listContainer.innerHTML = '<p style="text-align: center; color: #666;">No saved results yet.</p>';
-        modal.style.display = 'block';
-        return;
+        networkWorker = null;
+        showWorkerFailure(e.message);
     }
+    return networkWorker;
+}
 
-    savedResults.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+function showWorkerFailure(reason) {
+    console.warn('Network worker unavailable, using the main thread:', reason);
+    document.getElementById('worker-status').innerText =
+        `⚠️ Background worker unavailable (${reason}). Parsing and layout run on the page instead, which can be slow for large networks.`;
+}
 
-    let html = '';
-    savedResults.forEach((item) => {
-        const date = new Date(item.timestamp);
-        const dateStr = date.toLocaleString();
-        const preview = item.result.explanation ? item.result.explanation.substring(0, 100) + '...' : 'No explanation';
-        const matchCount = item.result.matches ? item.result.matches.length : 0;
+// Drops the worker: pending parses resolve empty (callers parse locally) and a
+// running simulation restarts on the main thread
+function disableNetworkWorker(reason) {
+    if (networkWorker) networkWorker.terminate();
+    networkWorker = null;
+    showWorkerFailure(reason);
+    workerRequests.forEach(resolve => resolve(null));
+    workerRequests = new Map();
+    if (simulation instanceof WorkerSimulation) renderVisualization();
+}
 
-        html += `
-            <div style="border: 1px solid #ddd; border-radius: 8px; padding: 15px; margin-bottom: 15px; background: #f9f9f9;">
-                <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 10px;">
-                    <div style="flex: 1;">
-                        <strong style="color: #0077b5; font-size: 16px;">Query:</strong>
-                        <p style="margin: 5px 0; font-weight: bold;">"${item.query}"</p>
-                        <small style="color: #666;">${dateStr} • ${matchCount} matches</small>
-                    </div>
-                </div>
-                <p style="color: #555; font-size: 14px; margin: 10px 0;">${preview}</p>
-                <div style="display: flex; gap: 10px; margin-top: 10px;">
-                    <button onclick="viewResult('${item.id}')" style="flex: 1; padding: 8px; background: #0077b5; color: white; border: none; border-radius: 5px; cursor: pointer;">
-                        View
-                    </button>
-                    <button onclick="downloadResult('${item.id}')" style="flex: 1; padding: 8px; background: #28a745; color: white; border: none; border-radius: 5px; cursor: pointer;">
-                        Download
-                    </button>
-                    <button onclick="deleteResult('${item.id}')" style="flex: 1; padding: 8px; background: #dc3545; color: white; border: none; border-radius: 5px; cursor: pointer;">
-                        Delete
-                    </button>
-                </div>
-            </div>
-        `;
+// Parses the export files in the worker, or here when it is unavailable.
+// Throws the same errors as parseExport().
+async function parseExportFiles(files, encodings) {
+    const worker = getNetworkWorker();
+    const reply = worker && await new Promise(resolve => {
+        const id = nextWorkerRequest++;
+        workerRequests.set(id, resolve);
+        worker.postMessage({ type: 'parse', id, files, encodings });
     });
-
-    listContainer.innerHTML = html;
-    modal.style.display = 'block';
+    if (!reply) return parseExport(files, encodings);
+    if (reply.type === 'failed') throw new Error(reply.message);
+    return reply.result;
 }
 
-window.viewResult = function(resultId) {
-    const history = JSON.parse(localStorage.getItem('ai_analysis_history') || '[]');
-    const item = history.find(r => r.id === resultId);
-    if (!item) return;
-    lastAIResult = item.result;
-    showAIResultsPanel();
-    document.getElementById('results-modal').style.display = 'none';
-
-    // Filter nodes and connections to only show matches
-    const ME_ID = 'ME';
-    const matchedIds = new Set(item.result.matches.map(m => m.id));
-    matchedIds.add(ME_ID); // Always include ME node
+// Stand-in for a d3 simulation running in the worker. Supports the calls the
+// page makes (on('tick'), alphaTarget, restart, stop); every tick copies the
+// positions onto the nodes and sends the pinned fx/fy back in the same buffer.
+class WorkerSimulation {
+    constructor(worker, nodes, links, options) {
+        this.worker = worker;
+        this.nodes = nodes;
+        this.run = nextSimulationRun++;
+        this.listeners = {};
+
+        // Resolve link ends to nodes like d3.forceLink does; the renderers read source.x
+        const byId = new Map(nodes.map(d => [d.id, d]));
+        const linkIds = links.map(l => ({ source: endpointId(l.source), target: endpointId(l.target) }));
+        links.forEach((l, i) => {
+            l.source = byId.get(linkIds[i].source);
+            l.target = byId.get(linkIds[i].target);
+        });
 
-    // Filter nodes to only include ME and matched nodes
-    const filteredNodes = masterNodes.filter(n => matchedIds.has(n.id));
+        this.onMessage = (event) => {
+            if (event.data.type === 'tick' && event.data.run === this.run) this.applyTick(event.data.positions);
+        };
+        worker.addEventListener('message', this.onMessage);
+        worker.postMessage({
+            type: 'simulate',
+            run: this.run,
+            nodes: nodes.map(d => ({ id: d.id, anchor: isAnchor(d), x: d.x, y: d.y, fx: d.fx, fy: d.fy })),
+            links: linkIds,
+            options
+        });
+    }
 
-    // Filter links to only include connections to matched nodes
-    const filteredLinks = [];
-    filteredNodes.forEach(n => {
-        if (n.id !== ME_ID) {
-            filteredLinks.push({ source: ME_ID, target: n.id });
-        }
-    });
+    applyTick(positions) {
+        this.nodes.forEach((d, i) => {
+            d.x = positions[2 * i];
+            d.y = positions[2 * i + 1];
+        });
+        if (this.listeners.tick) this.listeners.tick();
 
-    globalNodes = filteredNodes;
-    globalLinks = filteredLinks;
+        this.nodes.forEach((d, i) => {
+            positions[2 * i] = d.fx ?? NaN;
+            positions[2 * i + 1] = d.fy ?? NaN;
+        });
+        this.worker.postMessage({ type: 'fix', fixed: positions }, [positions.buffer]);
+    }
 
-    // Update simulation with filtered data
-    if (simulation) {
-        simulation.nodes(globalNodes);
-        simulation.force('link').links(globalLinks);
-        simulation.alpha(1).restart();
+    on(name, listener) {
+        this.listeners[name] = listener;
+        return this;
     }
 
-    // Re-render visualization with filtered data
-    updateLayout();
+    alphaTarget(value) {
+        this.worker.postMessage({ type: 'alphaTarget', value });
+        return this;
+    }
 
-    // Update filtered nodes list
-    updateFilteredNodesList();
+    restart() {
+        this.worker.postMessage({ type: 'restart' });
+        return this;
+    }
 
-    // Highlight matches
-    const matchMap = new Map(item.result.matches.map(m => [m.id, m]));
-    setTimeout(() => {
-        if (g) {
-            g.selectAll('.node circle')
-                .style('fill', d => {
-                    if (d.id === 'ME') return '#fff';
-                    if (matchMap.has(d.id)) return '#00ff88';
-                    const year = d.connectedDate.getFullYear();
-                    const hue = (year % 10) * 36;
-                    return d3.hsl(hue, 0.7, 0.6).toString();
-                })
-                .attr('r', d => {
-                    if (d.id === 'ME') return 15;
-                    if (matchMap.has(d.id)) {
-                        const score = matchMap.get(d.id).score;
-                        return NODE_RADIUS_MIN + (score / 100) * (NODE_RADIUS_MAX - NODE_RADIUS_MIN) + 5;
-                    }
-                    const dates = globalNodes.filter(n => n.id !== 'ME').map(n => n.connectedDate.getTime());
-                    const minTime = Math.min(...dates);
-                    const maxTime = Math.max(...dates);
-                    const timeSpan = maxTime - minTime || 1;
-                    const recency = (d.connectedDate.getTime() - minTime) / timeSpan;
-                    return NODE_RADIUS_MIN + (recency * (NODE_RADIUS_MAX - NODE_RADIUS_MIN));
-                });
-        }
-    }, 100);
+    stop() {
+        this.worker.removeEventListener('message', this.onMessage);
+        this.worker.postMessage({ type: 'stop' });
+        return this;
+    }
+}
 
-    // Update filtered nodes list
-    updateFilteredNodesList();
-};
+function startSimulation(nodes, links) {
+    const options = { width: window.innerWidth, height: window.innerHeight };
+    const worker = getNetworkWorker();
+    return worker
+        ? new WorkerSimulation(worker, nodes, links, options)
+        : createForceSimulation(nodes, links, { ...options, isAnchor });
+}
 
-window.downloadResult = function(resultId) {
-    const history = JSON.parse(localStorage.getItem('ai_analysis_history') || '[]');
-    const item = history.find(r => r.id === resultId);
-    if (!item) return;
-    const dataStr = JSON.stringify({
-        query: item.query,
-        timestamp: item.timestamp,
-        result: item.result
-    }, null, 2);
-    const blob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `ai_search_${item.query.substring(0, 20).replace(/[^a-z0-9]/gi, '_')}_${new Date(item.timestamp).toISOString().slice(0,10)}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-};
+// --- DATA IMPORT ---
+function exportFileKey(path) {
+    return path.split('/').pop().toLowerCase();
+}
 
-window.deleteResult = function(resultId) {
-    if (!confirm('Delete this search result?')) return;
-    let history = JSON.parse(localStorage.getItem('ai_analysis_history') || '[]');
-    history = history.filter(r => r.id !== resultId);
-    localStorage.setItem('ai_analysis_history', JSON.stringify(history));
+// Collects CSV texts from picked/dropped files, unpacking LinkedIn export ZIPs.
+// Returns texts keyed by lowercase file name, e.g. { 'connections.csv': '...' },
+// and the detected encoding of each file.
+async function readExportFiles(fileList) {
+    const files = {};
+    const encodings = {};
+    const addFile = (name, buffer) => {
+        const { text, encoding } = decodeExportText(buffer);
+        files[exportFileKey(name)] = text;
+        encodings[exportFileKey(name)] = encoding;
+    };
+
+    for (const file of fileList) {
+        if (/\.zip$/i.test(file.name)) {
+            const { default: JSZip } = await import('jszip');
+            const zip = await JSZip.loadAsync(file);
+            const entries = Object.values(zip.files).filter(e => !e.dir && /\.csv$/i.test(e.name));
+            for (const entry of entries) {
+                addFile(entry.name, await entry.async('uint8array'));
+            }
+        } else if (/\.csv$/i.test(file.name)) {
+            addFile(file.name, await file.arrayBuffer());
+        }
+    }
+    return { files, encodings };
+}
 
-    // Hide button if no results left
-    if (history.length === 0) {
-        document.getElementById('view-results-btn').style.display = 'none';
+function renderImportReport(report) {
+    const container = document.getElementById('import-report');
+    if (!report) {
+        container.innerHTML = '';
+        return;
     }
 
-    showResultsList();
-};
+    const MAX_ITEMS = 50;
+    const list = (items, format) => {
+        const shown = items.slice(0, MAX_ITEMS).map(item => `<li>${format(item)}</li>`).join('');
+        const more = items.length > MAX_ITEMS ? `<li>... and ${items.length - MAX_ITEMS} more</li>` : '';
+        return `<ul style="margin: 4px 0; padding-left: 18px;">${shown}${more}</ul>`;
+    };
+    const issues = report.skippedRows.length + report.unparsedDates.length + report.missingColumns.length;
+    const orderLabel = report.dateOrder === 'dmy' ? 'day/month' : 'month/day';
+
+    let html = `<details style="font-size: 12px; margin-top: 5px;"${issues > 0 ? ' open' : ''}>
+        <summary style="cursor: pointer; color: ${issues > 0 ? '#b36b00' : '#28a745'};">
+            Import report: ${report.imported} of ${report.totalRows} rows imported${issues > 0 ? `, ${issues} issue(s)` : ''}
+        </summary>
+        <div style="color: #555;">Encoding: ${report.encoding} · Numeric dates read as ${orderLabel}</div>`;
+
+    if (report.missingColumns.length > 0) {
+        html += `<div><strong>Missing columns:</strong> ${report.missingColumns.map(escapeHtml).join(', ')}</div>`;
+    }
+    if (report.renamedColumns.length > 0) {
+        html += `<div><strong>Mapped columns:</strong> ${report.renamedColumns.map(c => `${escapeHtml(c.from)} → ${c.to}`).join(', ')}</div>`;
+    }
+    if (report.skippedRows.length > 0) {
+        html += `<div><strong>Skipped rows (${report.skippedRows.length}):</strong>${list(report.skippedRows, r => `Row ${r.row}: ${escapeHtml(r.reason)}`)}</div>`;
+    }
+    if (report.unparsedDates.length > 0) {
+        html += `<div><strong>Unparseable dates (${report.unparsedDates.length}):</strong> placed at the start of the timeline${list(report.unparsedDates, d => `Row ${d.row}: ${escapeHtml(d.name)} – "${escapeHtml(d.value) || 'empty'}"`)}</div>`;
+    }
 
-// --- INIT ---
-async function initGraph() {
-  await loadUserProfile();
+    container.innerHTML = html + '</details>';
+}
 
-  const response = await fetch('./Connections.csv');
-  const text = await response.text();
+// Replaces my own network (initial load or re-import) and redraws from scratch.
+function setNetwork(nodes, links) {
+    ownNetwork = { nodes, links };
+    rebuildNetwork();
+}
 
-  const startIdx = text.indexOf("First Name");
-  const data = d3.csvParse(text.substring(startIdx));
+// Merges my network with the teammates' exports and redraws from scratch.
+function rebuildNetwork() {
+    if (simulation) simulation.stop();
+    simulation = null;
+    selectedNode = null;
+
+    const merged = mergeTeamExports(ownNetwork.nodes, ownNetwork.links);
+    masterNodes = merged.nodes;
+    masterLinks = merged.links;
+    networkHash = hashString(JSON.stringify(masterNodes.filter(isPerson).map(toSnapshotPerson)));
+    normalizeCompanies(masterNodes);
+    applyTaxonomy(masterNodes);
+    applyAnnotations(masterNodes);
+    renderCompanyAliases();
+    globalNodes = [...masterNodes];
+    globalLinks = linksForNodes(globalNodes);
+    changeHighlights = new Map();
+    pathHighlight = null;
+    collapsedCompanies = null;
+    dateWindow = null;
+    facetState = newFacetState();
+    clearFind();
+    pausePlayback();
+    playbackCutoff = null;
+
+    document.getElementById('person-actions').style.display = 'none';
+    document.getElementById('person-name').innerText = 'Click a node...';
+
+    initVisualization();
+    updateLayout();
+    updateFilteredNodesList();
+    renderFacets();
+    refreshTaxonomy().catch(e => console.warn('Could not load role labels', e));
+}
 
-  const nodes = [];
-  const links = [];
-  const ME_ID = 'ME';
+function setImportStatus(message, isError = false) {
+    const status = document.getElementById('import-status');
+    status.innerText = message;
+    status.style.color = isError ? '#dc3545' : '#666';
+}
 
-  nodes.push({ id: ME_ID, name: "Me", role: "Owner", company: "My Network", connectedDate: new Date() });
+async function importExportFiles(fileList) {
+    if (!fileList || fileList.length === 0) return;
+    setImportStatus('Reading files...');
 
-  data.forEach((row, index) => {
-      if (!row['First Name']) return;
+    try {
+        const { files, encodings } = await readExportFiles(fileList);
+        const connectionsText = files['connections.csv'];
+        const extraFiles = Object.values(EXPORT_FILES).filter(name => files[name]);
+        const hasProfileData = files['profile.csv'] || extraFiles.length > 0;
 
-      nodes.push({
-          id: `p_${index}`,
-          name: `${row['First Name']} ${row['Last Name']}`,
-          role: row['Position'],
-          company: row['Company'],
-          url: row['URL'],
-          connectedDate: parseConnectionDate(row['Connected On'])
-      });
+        if (!connectionsText && !hasProfileData) {
+            throw new Error('No LinkedIn export files (Connections.csv, Profile.csv, ...) found in the selected files.');
+        }
 
-      links.push({ source: ME_ID, target: `p_${index}` });
-  });
+        if (!connectionsText) {
+            // Profile-only import: keep the current network, merge into "me"
+            // and the existing nodes.
+            userProfile = { ...userProfile, ...buildUserProfile(files) };
+            attachInteractions(files, masterNodes);
+            refreshNodeStyles();
+            if (selectedNode) updateSidebarForPerson(selectedNode);
+            setImportStatus(`Updated profile data from ${Object.keys(files).length} file(s).`);
+            return;
+        }
 
-  masterNodes = nodes;
-  globalNodes = [...nodes];
-  globalLinks = [...links];
+        setImportStatus(`Parsing ${Object.keys(files).length} file(s)...`);
+        const { nodes, links, report, profile } = await parseExportFiles(files, encodings);
+        // A new export replaces the previous profile too, even if it has none.
+        userProfile = profile;
+        renderImportReport(report);
+        setNetwork(nodes, links);
+        setImportStatus(`Loaded ${nodes.length - 1} connections` +
+            (hasProfileData ? ` plus ${extraFiles.length + (files['profile.csv'] ? 1 : 0)} profile/activity file(s).` : '.'));
+        await recordSnapshot(nodes, Array.from(fileList).map(f => f.name).join(', '));
+    } catch (e) {
+        console.error(e);
+        setImportStatus('Import failed: ' + e.message, true);
+    }
+}
 
-  populateYearFilter(masterNodes);
+function bindImportControls() {
+    const fileInput = document.getElementById('import-file-input');
+    document.getElementById('import-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        await importExportFiles(fileInput.files);
+        fileInput.value = ''; // Allow picking the same file again
+    });
 
-  initVisualization();
+    const overlay = document.getElementById('drop-overlay');
+    window.addEventListener('dragover', (event) => {
+        if (!event.dataTransfer || !Array.from(event.dataTransfer.types).includes('Files')) return;
+        event.preventDefault();
+        overlay.style.display = 'flex';
+    });
+    window.addEventListener('dragleave', (event) => {
+        // relatedTarget is null once the pointer leaves the window
+        if (!event.relatedTarget) overlay.style.display = 'none';
+    });
+    window.addEventListener('drop', (event) => {
+        event.preventDefault();
+        overlay.style.display = 'none';
+        importExportFiles(event.dataTransfer.files);
+    });
+}
 
-  setTimeout(() => {
-      updateLayout();
-      restoreAIResults();
-      updateFilteredNodesList();
-  }, 100);
+// --- INIT ---
+async function initGraph() {
+  bindImportControls();
+  bindTeamControls();
+  bindProviderControls();
+  bindDraftControls();
+  bindPlaybackControls();
+  bindFilterControls();
+  bindFindControls();
+  bindAnnotationControls();
 
   // Listeners
   document.getElementById('rearrange-btn').addEventListener('click', updateLayout);
   document.getElementById('layout-mode').addEventListener('change', updateLayout);
-  document.getElementById('year-filter').addEventListener('change', applyYearFilter);
+  const renderer = document.getElementById('renderer');
+  renderer.value = localStorage.getItem('renderer') || 'auto';
+  renderer.addEventListener('change', () => {
+      localStorage.setItem('renderer', renderer.value);
+      updateLayout();
+  });
+  document.getElementById('color-by').addEventListener('change', () => {
+      refreshNodeStyles();
+      renderColorLegend();
+  });
+  document.getElementById('enrich-taxonomy-btn').addEventListener('click', enrichTaxonomyWithAI);
+  document.getElementById('add-alias-btn').addEventListener('click', addCompanyAlias);
   document.getElementById('ai-ask-btn').addEventListener('click', askAINetworkQuery);
+  document.getElementById('chat-send-btn').addEventListener('click', sendChatFollowUp);
+  document.getElementById('chat-input').addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') sendChatFollowUp();
+  });
+  document.getElementById('chat-new-btn').addEventListener('click', startNewConversation);
   document.getElementById('download-results-btn').addEventListener('click', downloadAIResults);
   document.getElementById('clear-results-btn').addEventListener('click', clearAIResults);
 
@@ -1113,6 +4872,36 @@ async function initGraph() {
           updateLayout();
       }
   });
+
+  document.getElementById('compare-snapshots-btn').addEventListener('click', showSnapshotDiff);
+
+  restoreAIResults();
+  populateSnapshotSelects().catch(e => console.warn("Could not load snapshots", e));
+
+  // CSVs next to index.html are loaded right away; without them we wait for an import.
+  let connections = null;
+  try {
+      const response = await fetch('./Connections.csv');
+      if (response.ok) connections = decodeExportText(await response.arrayBuffer());
+  } catch (e) {
+      console.warn("Could not fetch Connections.csv, waiting for import", e);
+  }
+
+  if (!connections) {
+      setImportStatus('Import your LinkedIn export to get started.');
+      return;
+  }
+
+  await loadUserProfile();
+  try {
+      const { nodes, links, report } = await parseExportFiles({ 'connections.csv': connections.text }, { 'connections.csv': connections.encoding });
+      setNetwork(nodes, links);
+      renderImportReport(report);
+      await recordSnapshot(nodes, 'Connections.csv');
+  } catch (e) {
+      console.error(e);
+      setImportStatus('Could not read Connections.csv: ' + e.message, true);
+  }
 }
 
 initGraph();
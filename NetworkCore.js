@@ -0,0 +1,421 @@
+// Network code shared by the page (LinkedinGraph.js) and the network worker
+// (NetworkWorker.js): export parsing and the force simulation. It uses the
+// global d3 and never touches the DOM, so it runs the same in both.
+
+// --- DATE HELPER ---
+// Month names/abbreviations as they appear in localized LinkedIn exports
+// (en, fr, de, es, pt, it, nl). Keys are lowercase without accents or dots.
+const MONTH_NAMES = {
+    jan: 0, january: 0, janv: 0, janvier: 0, januar: 0, ene: 0, enero: 0, janeiro: 0, gen: 0, gennaio: 0, januari: 0,
+    feb: 1, february: 1, fevr: 1, fevrier: 1, februar: 1, febrero: 1, fev: 1, fevereiro: 1, febbraio: 1, februari: 1,
+    mar: 2, march: 2, mars: 2, marz: 2, maerz: 2, marzo: 2, marco: 2, mrt: 2, maart: 2,
+    apr: 3, april: 3, avr: 3, avril: 3, abr: 3, abril: 3, aprile: 3,
+    may: 4, mai: 4, mayo: 4, maio: 4, mag: 4, maggio: 4, mei: 4,
+    jun: 5, june: 5, juin: 5, juni: 5, junio: 5, junho: 5, giu: 5, giugno: 5,
+    jul: 6, july: 6, juil: 6, juillet: 6, juli: 6, julio: 6, julho: 6, lug: 6, luglio: 6,
+    aug: 7, august: 7, aout: 7, ago: 7, agosto: 7, augustus: 7,
+    sep: 8, sept: 8, september: 8, septembre: 8, septiembre: 8, set: 8, setembro: 8, settembre: 8,
+    oct: 9, october: 9, octobre: 9, okt: 9, oktober: 9, octubre: 9, out: 9, outubro: 9, ott: 9, ottobre: 9,
+    nov: 10, november: 10, novembre: 10, noviembre: 10, novembro: 10,
+    dec: 11, december: 11, decembre: 11, dez: 11, dezember: 11, dic: 11, diciembre: 11, dezembro: 11, dicembre: 11
+};
+
+export function stripAccents(str) {
+    return str.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function makeDate(year, month, day) {
+    if (year < 100) year += 2000;
+    if (month < 0 || month > 11 || day < 1 || day > 31) return null;
+    const date = new Date(year, month, day);
+    // Reject overflow such as 31 Feb
+    return date.getMonth() === month ? date : null;
+}
+
+// Guesses whether numeric dates like 03/04/2021 are day-first ('dmy') or
+// month-first ('mdy') by looking at every value of the column.
+function detectDateOrder(values) {
+    let dayFirst = false;
+    let monthFirst = false;
+    values.forEach(value => {
+        const m = /^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{2,4})/.exec((value || '').trim());
+        if (!m) return;
+        if (+m[1] > 12) dayFirst = true;
+        if (+m[2] > 12) monthFirst = true;
+    });
+    if (dayFirst !== monthFirst) return dayFirst ? 'dmy' : 'mdy';
+    // Ambiguous: follow the browser locale
+    return (navigator.language || 'en-US').toLowerCase() === 'en-us' ? 'mdy' : 'dmy';
+}
+
+// Parses "25 Nov 2025", "Nov 25, 2025", "2025-11-25", "25/11/2025", "25.11.2025"
+// and their localized variants. Returns null instead of guessing.
+export function parseConnectionDate(dateStr, order = 'mdy') {
+    if (!dateStr) return null;
+    const str = stripAccents(dateStr.trim().toLowerCase());
+    if (!str) return null;
+    let m;
+
+    // ISO, optionally followed by a time ("2023-05-01 10:00:00 UTC")
+    if ((m = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(str))) {
+        return makeDate(+m[1], +m[2] - 1, +m[3]);
+    }
+
+    // Numeric day/month/year with /, . or - separators
+    if ((m = /^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{2,4})\b/.exec(str))) {
+        return order === 'dmy'
+            ? makeDate(+m[3], +m[2] - 1, +m[1])
+            : makeDate(+m[3], +m[1] - 1, +m[2]);
+    }
+
+    // "25 nov 2025", "25. nov. 2025", "25 de nov. de 2025"
+    if ((m = /^(\d{1,2})\.?\s+(?:de\s+)?([a-z]+)\.?\s+(?:de\s+)?(\d{4})/.exec(str))) {
+        const month = MONTH_NAMES[m[2]];
+        return month === undefined ? null : makeDate(+m[3], month, +m[1]);
+    }
+
+    // "nov 25, 2025"
+    if ((m = /^([a-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})/.exec(str))) {
+        const month = MONTH_NAMES[m[1]];
+        return month === undefined ? null : makeDate(+m[3], month, +m[2]);
+    }
+
+    // "nov 2025" (positions and education only have month precision)
+    if ((m = /^([a-z]+)\.?\s+(\d{4})$/.exec(str))) {
+        const month = MONTH_NAMES[m[1]];
+        return month === undefined ? null : makeDate(+m[2], month, 1);
+    }
+
+    return null;
+}
+
+// --- CSV COLUMNS ---
+// Header aliases per canonical column: English names first, then renamed
+// and localized variants. Matching ignores case, accents and punctuation.
+const CONNECTION_COLUMNS = {
+    firstName: ['First Name', 'FirstName', 'Given Name', 'Prénom', 'Vorname', 'Nombre', 'Nome', 'Voornaam'],
+    lastName: ['Last Name', 'LastName', 'Surname', 'Family Name', 'Nom', 'Nom de famille', 'Nachname', 'Apellidos', 'Apellido', 'Sobrenome', 'Cognome', 'Achternaam'],
+    url: ['URL', 'Profile URL', 'LinkedIn URL', 'Profile'],
+    email: ['Email Address', 'Email', 'E-mail', 'E-mail Address', 'Adresse e-mail', 'E-Mail-Adresse', 'Correo electrónico', 'Dirección de correo electrónico', 'Endereço de e-mail'],
+    company: ['Company', 'Organization', 'Entreprise', 'Société', 'Unternehmen', 'Empresa', 'Azienda', 'Bedrijf'],
+    position: ['Position', 'Title', 'Job Title', 'Poste', 'Titre', 'Cargo', 'Puesto', 'Posizione', 'Functie'],
+    connectedOn: ['Connected On', 'Connected', 'Connection Date', 'Connecté le', 'Date de connexion', 'Verbunden am', 'Conectado el', 'Fecha de conexión', 'Conectado em', 'Collegato il', 'Verbonden op']
+};
+
+const CONNECTION_COLUMN_LABELS = {
+    firstName: 'First Name', lastName: 'Last Name', url: 'URL', email: 'Email Address',
+    company: 'Company', position: 'Position', connectedOn: 'Connected On'
+};
+
+const PROFILE_COLUMNS = {
+    firstName: CONNECTION_COLUMNS.firstName,
+    lastName: CONNECTION_COLUMNS.lastName,
+    headline: ['Headline', 'Titre', 'Überschrift', 'Titular', 'Título'],
+    summary: ['Summary', 'Résumé', 'Info', 'Zusammenfassung', 'Extracto', 'Resumo', 'Sommario'],
+    industry: ['Industry', 'Secteur', 'Branche', 'Sector', 'Setor', 'Settore']
+};
+
+function normalizeHeader(header) {
+    return stripAccents((header || '').replace(/^\uFEFF/, '').trim().toLowerCase()).replace(/[^a-z0-9]/g, '');
+}
+
+// Maps canonical column names to indexes in a header row.
+function resolveColumns(headerRow, columnAliases) {
+    const normalized = headerRow.map(normalizeHeader);
+    const columns = {};
+    const missing = [];
+    Object.entries(columnAliases).forEach(([key, aliases]) => {
+        const index = aliases.map(normalizeHeader).map(alias => normalized.indexOf(alias)).find(i => i !== -1);
+        if (index === undefined) missing.push(key);
+        else columns[key] = index;
+    });
+    return { columns, missing };
+}
+
+// Exports start with a free-text "Notes:" preamble, so the header is the
+// first row that resolves enough known columns.
+function findHeaderRow(rows, columnAliases, minMatches = 3) {
+    for (let i = 0; i < Math.min(rows.length, 50); i++) {
+        const { columns, missing } = resolveColumns(rows[i], columnAliases);
+        if (Object.keys(columns).length >= minMatches) return { index: i, columns, missing };
+    }
+    return null;
+}
+
+// --- EXPORT PARSING ---
+// Decodes raw bytes honoring a BOM, falling back to Windows-1252 when the
+// file is not valid UTF-8 (older exports re-saved with Excel).
+export function decodeExportText(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let encoding = 'utf-8';
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) encoding = 'utf-16le';
+    else if (bytes[0] === 0xFE && bytes[1] === 0xFF) encoding = 'utf-16be';
+
+    let text;
+    try {
+        text = new TextDecoder(encoding, { fatal: true }).decode(bytes);
+    } catch {
+        encoding = 'windows-1252';
+        text = new TextDecoder(encoding).decode(bytes);
+    }
+    return { text: text.replace(/^\uFEFF/, ''), encoding };
+}
+
+// Optional files of the full LinkedIn archive, keyed like readExportFiles() output.
+export const EXPORT_FILES = {
+    positions: 'positions.csv',
+    skills: 'skills.csv',
+    education: 'education.csv',
+    messages: 'messages.csv',
+    invitations: 'invitations.csv',
+    endorsementsReceived: 'endorsement_received_info.csv',
+    endorsementsGiven: 'endorsement_given_info.csv'
+};
+
+// Profile URLs show up with and without protocol, "www." or a trailing slash.
+export function normalizeProfileUrl(url) {
+    if (!url) return '';
+    return url.trim().toLowerCase()
+        .replace(/^https?:\/\//, '')
+        .replace(/^www\./, '')
+        .replace(/[?#].*$/, '')
+        .replace(/\/+$/, '');
+}
+
+function parseExportRows(files, key) {
+    const text = files[EXPORT_FILES[key]];
+    return text ? d3.csvParse(text) : null;
+}
+
+export function parseUserProfile(text) {
+    const rows = d3.csvParseRows(text);
+    const header = findHeaderRow(rows, PROFILE_COLUMNS, 2);
+    if (!header || !rows[header.index + 1]) return {};
+
+    const me = rows[header.index + 1];
+    const value = (key) => header.columns[key] === undefined ? undefined : me[header.columns[key]];
+    return {
+        firstName: value('firstName'),
+        lastName: value('lastName'),
+        headline: value('headline'),
+        summary: value('summary'),
+        industry: value('industry')
+    };
+}
+
+// Builds userProfile from Profile.csv plus the career files of the archive.
+// Only keys whose source file is present are set, so partial imports can be merged.
+export function buildUserProfile(files) {
+    const profile = files['profile.csv'] ? parseUserProfile(files['profile.csv']) : {};
+
+    const positions = parseExportRows(files, 'positions');
+    if (positions) {
+        profile.positions = positions.map(row => ({
+            company: row['Company Name'],
+            title: row['Title'],
+            description: row['Description'],
+            location: row['Location'],
+            startedOn: row['Started On'],
+            finishedOn: row['Finished On']
+        }));
+    }
+
+    const skills = parseExportRows(files, 'skills');
+    if (skills) {
+        profile.skills = skills.map(row => row['Name']).filter(Boolean);
+    }
+
+    const education = parseExportRows(files, 'education');
+    if (education) {
+        profile.education = education.map(row => ({
+            school: row['School Name'],
+            degree: row['Degree Name'],
+            startDate: row['Start Date'],
+            endDate: row['End Date']
+        }));
+    }
+
+    const endorsementsReceived = parseExportRows(files, 'endorsementsReceived');
+    if (endorsementsReceived) {
+        profile.endorsementsReceived = endorsementsReceived.map(row => ({
+            skill: row['Skill Name'],
+            from: `${row['Endorser First Name'] || ''} ${row['Endorser Last Name'] || ''}`.trim()
+        }));
+    }
+
+    return profile;
+}
+
+// Attaches messages, invitations and endorsements to the matching connection nodes.
+export function attachInteractions(files, nodes) {
+    const byUrl = new Map();
+    nodes.forEach(n => {
+        const key = normalizeProfileUrl(n.url);
+        if (key) byUrl.set(key, n);
+    });
+    const findNode = (url) => byUrl.get(normalizeProfileUrl(url));
+    // A file replaces what an earlier import of the same file attached
+    const reset = (...fields) => nodes.forEach(n => fields.forEach(field => delete n[field]));
+
+    const messages = parseExportRows(files, 'messages');
+    if (messages) {
+        reset('messageCount', 'lastMessageDate');
+        messages.forEach(row => {
+            const urls = [row['SENDER PROFILE URL'], ...(row['RECIPIENT PROFILE URLS'] || '').split(',')];
+            const date = parseConnectionDate(row['DATE']);
+            new Set(urls.map(findNode).filter(Boolean)).forEach(node => {
+                node.messageCount = (node.messageCount || 0) + 1;
+                if (date && (!node.lastMessageDate || date > node.lastMessageDate)) node.lastMessageDate = date;
+            });
+        });
+    }
+
+    const invitations = parseExportRows(files, 'invitations');
+    if (invitations) {
+        reset('invitation');
+        invitations.forEach(row => {
+            const outgoing = (row['Direction'] || '').toUpperCase() === 'OUTGOING';
+            const node = findNode(outgoing ? row['inviteeProfileUrl'] : row['inviterProfileUrl']);
+            if (!node) return;
+            node.invitation = {
+                direction: outgoing ? 'sent' : 'received',
+                message: row['Message'] || '',
+                sentAt: row['Sent At']
+            };
+        });
+    }
+
+    const received = parseExportRows(files, 'endorsementsReceived');
+    if (received) {
+        reset('endorsedMe');
+        received.forEach(row => {
+            const node = findNode(row['Endorser Public Url']);
+            if (node) (node.endorsedMe = node.endorsedMe || []).push(row['Skill Name']);
+        });
+    }
+
+    const given = parseExportRows(files, 'endorsementsGiven');
+    if (given) {
+        reset('endorsedByMe');
+        given.forEach(row => {
+            const node = findNode(row['Endorsee Public Url']);
+            if (node) (node.endorsedByMe = node.endorsedByMe || []).push(row['Skill Name']);
+        });
+    }
+}
+
+// Parses Connections.csv into graph nodes plus an import report of skipped
+// rows, unparseable dates and missing columns.
+export function buildGraphData(text, encoding = 'utf-8') {
+  const rows = d3.csvParseRows(text);
+  const header = findHeaderRow(rows, CONNECTION_COLUMNS);
+  const report = {
+      encoding,
+      totalRows: 0,
+      imported: 0,
+      dateOrder: null,
+      missingColumns: [],
+      renamedColumns: [],
+      skippedRows: [],
+      unparsedDates: []
+  };
+
+  if (!header || (header.columns.firstName === undefined && header.columns.lastName === undefined)) {
+      throw new Error('Could not find the header row (First Name, Last Name, ...) in Connections.csv.');
+  }
+
+  const headerRow = rows[header.index];
+  report.missingColumns = header.missing.map(key => CONNECTION_COLUMN_LABELS[key]);
+  Object.entries(header.columns).forEach(([key, index]) => {
+      if (headerRow[index].trim() !== CONNECTION_COLUMN_LABELS[key]) {
+          report.renamedColumns.push({ from: headerRow[index].trim(), to: CONNECTION_COLUMN_LABELS[key] });
+      }
+  });
+
+  const value = (row, key) => {
+      const index = header.columns[key];
+      return index === undefined ? '' : (row[index] || '').trim();
+  };
+
+  const data = rows.slice(header.index + 1).filter(row => row.some(cell => cell.trim() !== ''));
+  report.totalRows = data.length;
+  report.dateOrder = detectDateOrder(data.map(row => value(row, 'connectedOn')));
+
+  const nodes = [];
+  const links = [];
+  const ME_ID = 'ME';
+  const undated = [];
+
+  nodes.push({ id: ME_ID, name: "Me", role: "Owner", company: "My Network", connectedDate: new Date() });
+
+  data.forEach((row, index) => {
+      const rowNumber = index + 1;
+      const name = `${value(row, 'firstName')} ${value(row, 'lastName')}`.trim();
+      if (!name) {
+          // LinkedIn blanks out members who left or restricted their data
+          report.skippedRows.push({ row: rowNumber, reason: 'No name (hidden or deleted member)' });
+          return;
+      }
+
+      const rawDate = value(row, 'connectedOn');
+      const connectedDate = parseConnectionDate(rawDate, report.dateOrder);
+      const node = {
+          id: `p_${index}`,
+          name,
+          role: value(row, 'position'),
+          company: value(row, 'company'),
+          url: value(row, 'url'),
+          email: value(row, 'email'),
+          connectedDate
+      };
+
+      if (!connectedDate) {
+          report.unparsedDates.push({ row: rowNumber, name, value: rawDate });
+          undated.push(node);
+      }
+
+      nodes.push(node);
+      links.push({ source: ME_ID, target: node.id });
+  });
+
+  // Undated connections go to the start of the timeline instead of 1970
+  const dated = nodes.filter(n => n.id !== ME_ID && n.connectedDate);
+  const fallbackDate = dated.length > 0 ? new Date(Math.min(...dated.map(n => n.connectedDate.getTime()))) : new Date();
+  undated.forEach(node => {
+      node.connectedDate = fallbackDate;
+      node.dateUnknown = true;
+  });
+
+  report.imported = nodes.length - 1;
+  return { nodes, links, report };
+}
+
+// Everything an import needs from the export files: the connection graph with
+// messages, invitations and endorsements attached, the import report and my profile.
+export function parseExport(files, encodings = {}) {
+    const { nodes, links, report } = buildGraphData(files['connections.csv'], encodings['connections.csv']);
+    attachInteractions(files, nodes);
+    return { nodes, links, report, profile: buildUserProfile(files) };
+}
+
+// --- FORCE SIMULATION ---
+const LINK_DISTANCE_BASE = 120; // Increased from 50 for more spacing
+
+// The graph's forces. Layouts pin nodes through fx/fy; the rest settle around them.
+export function createForceSimulation(nodes, links, { width, height, isAnchor }) {
+    return d3.forceSimulation(nodes)
+        .force('link', d3.forceLink(links)
+            .id(d => d.id)
+            .distance(LINK_DISTANCE_BASE)
+            .strength(0.1))
+        .force('charge', d3.forceManyBody()
+            .strength(d => isAnchor(d) ? -800 : -150)) // Increased repulsion: -50 to -150, ME: -500 to -800
+        .force('x', d3.forceX(d => {
+            if (d.fx !== undefined) return d.fx;
+            return width / 2;
+        }).strength(0.1))
+        .force('y', d3.forceY(d => {
+            if (d.fy !== undefined) return d.fy;
+            return height / 2;
+        }).strength(0.3));
+}
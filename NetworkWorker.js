@@ -0,0 +1,75 @@
+// Network worker: parses exports and runs the force simulation off the main
+// thread so the page stays responsive on large networks. Node positions go
+// back as transferable Float64Arrays (x, y per node).
+import { parseExport, createForceSimulation } from './NetworkCore.js?v=10';
+
+// d3 comes from the URL of the page's own <script> (passed as ?d3=), so both
+// threads run the same build. The UMD bundle sets self.d3, which NetworkCore.js
+// reads (only when called), like on the page.
+const d3Ready = import(new URL(self.location.href).searchParams.get('d3'))
+    .then(() => true)
+    .catch((error) => {
+        self.postMessage({ type: 'unavailable', message: `could not load d3 (${error.message})` });
+        return false;
+    });
+
+let simulation = null;
+let run = 0; // id of the current simulation, echoed so the page can drop stale ticks
+let nodes = [];
+
+function postPositions() {
+    const positions = new Float64Array(nodes.length * 2);
+    nodes.forEach((d, i) => {
+        positions[2 * i] = d.x;
+        positions[2 * i + 1] = d.y;
+    });
+    self.postMessage({ type: 'tick', run, positions }, [positions.buffer]);
+}
+
+const handlers = {
+    parse({ id, files, encodings }) {
+        try {
+            self.postMessage({ type: 'parsed', id, result: parseExport(files, encodings) });
+        } catch (e) {
+            self.postMessage({ type: 'failed', id, message: e.message });
+        }
+    },
+
+    simulate(message) {
+        if (simulation) simulation.stop();
+        run = message.run;
+        nodes = message.nodes;
+        simulation = createForceSimulation(nodes, message.links, { ...message.options, isAnchor: d => d.anchor })
+            .on('tick', postPositions);
+    },
+
+    // Pinned positions (layouts, dragging) from the page; NaN = free
+    fix({ fixed }) {
+        nodes.forEach((d, i) => {
+            d.fx = Number.isNaN(fixed[2 * i]) ? null : fixed[2 * i];
+            d.fy = Number.isNaN(fixed[2 * i + 1]) ? null : fixed[2 * i + 1];
+        });
+    },
+
+    alphaTarget({ value }) {
+        if (simulation) simulation.alphaTarget(value);
+    },
+
+    restart() {
+        if (simulation) simulation.restart();
+    },
+
+    stop() {
+        if (simulation) simulation.stop();
+        simulation = null;
+    }
+};
+
+self.onmessage = async (event) => {
+    const type = event.data && event.data.type;
+    if (!Object.hasOwn(handlers, type)) {
+        console.warn('Network worker: ignoring unknown message', event.data);
+        return;
+    }
+    if (await d3Ready) handlers[type](event.data);
+};